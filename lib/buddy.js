@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { getTaskLetter } = require('./reportParser');
+
+// バディ（2人1組で見守り合う）の招待コードと通知文
+// user.buddy = { userId, pairedAt, watch: { am, miss }, nudges: { date, count } }
+// watch は「相手の朝の宣言を見る」「相手の締切後の未達を知らせてもらう」（どちらも自分で選ぶ。既定はオフ）
+
+// 招待コードの有効期限と、1日に送れる応援（/buddy nudge）の回数
+const INVITE_TTL_HOURS = 24;
+const MAX_NUDGES_PER_DAY = 2;
+
+// 読み間違えやすい 0/O・1/I/L を除いた英数字
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const WATCH_LABELS = {
+  am: '相手の朝の宣言を見る',
+  miss: '相手の締切後の未達を知らせてもらう'
+};
+
+const BUDDY_USAGE = `使い方:
+• /buddy invite … 招待コードを発行（${INVITE_TTL_HOURS}時間・1回だけ有効）
+• /buddy join <コード> … 相手のコードでペアになる
+• /buddy am on|off … ${WATCH_LABELS.am}
+• /buddy miss on|off … ${WATCH_LABELS.miss}
+• /buddy nudge … 相手に応援を送る（1日${MAX_NUDGES_PER_DAY}回まで）
+• /buddy leave … ペアを解消`;
+
+function createInviteCode() {
+  return Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+// 入力のゆれ（小文字・空白・ハイフン）をならす
+function normalizeInviteCode(input) {
+  return String(input || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+function formatBuddyStatus(buddy, timezone) {
+  if (!buddy) {
+    return `バディはいません。\n\n${BUDDY_USAGE}`;
+  }
+  const watches = Object.entries(WATCH_LABELS)
+    .map(([key, label]) => `• ${label}: ${buddy.watch[key] ? 'オン' : 'オフ'}`)
+    .join('\n');
+  return `🤝 バディとペアになっています（${moment(buddy.pairedAt).tz(timezone).format('YYYY-MM-DD')}〜）\n\n${watches}\n\n${BUDDY_USAGE}`;
+}
+
+function formatWatchChange(key, enabled) {
+  return `「${WATCH_LABELS[key]}」を${enabled ? 'オン' : 'オフ'}にしました。`;
+}
+
+// 相手の朝の宣言
+function buildCommitmentNotice(day) {
+  const tasks = day.tasks.map(task => `${getTaskLetter(task)}. ${task.name}`).join('\n');
+  return `🤝 バディが今日のタスクを宣言しました（${day.date}）\n\n${tasks}\n\n/buddy nudge で応援を送れます。`;
+}
+
+// 相手の締切後の結果（未達がある日だけ送る。未達の理由は本人のものなので載せない）
+function buildMissNotice(day) {
+  const done = day.tasks.filter(task => task.status === 'done').length;
+  const missed = day.tasks
+    .filter(task => task.status === 'miss')
+    .map(task => `${getTaskLetter(task)}. ${task.name}`)
+    .join('\n');
+  return `🤝 バディの${day.date}の締切が過ぎました。\n\n完了: ${done}/${day.tasks.length}\n未達:\n${missed}\n\n/buddy nudge でひと声かけてみませんか。`;
+}
+
+const NUDGE_MESSAGE = '📣 バディから応援が届きました！今日のタスク、一緒に片付けましょう。';
+
+module.exports = {
+  INVITE_TTL_HOURS,
+  MAX_NUDGES_PER_DAY,
+  BUDDY_USAGE,
+  NUDGE_MESSAGE,
+  createInviteCode,
+  normalizeInviteCode,
+  formatBuddyStatus,
+  formatWatchChange,
+  buildCommitmentNotice,
+  buildMissNotice
+};
@@ -0,0 +1,139 @@
+const moment = require('moment-timezone');
+const { summarizeDays, getCompletionRate } = require('./history');
+
+// AIチャットの会話記憶（直近の発言はそのまま、古い発言は要約にまとめる）
+
+// この件数を超えたら古い発言を要約に回し、KEEP_MESSAGES 件だけ残す
+const MAX_MESSAGES = 12;
+const KEEP_MESSAGES = 6;
+const MAX_SUMMARY_LENGTH = 600;
+// 要約に失敗したときに1発言から残す文字数
+const FALLBACK_TURN_LENGTH = 60;
+
+const PAST_WEEKS = 4;
+const MAX_MISS_REASONS = 3;
+// 締め処理で自動的に付く理由はユーザーの理由として扱わない
+const SYSTEM_REASONS = ['締切超過'];
+
+function createConversation(userId) {
+  return { userId, summary: '', messages: [], updatedAt: null };
+}
+
+function appendExchange(conversation, userMessage, assistantMessage, now = moment()) {
+  conversation.messages.push(
+    { role: 'user', content: userMessage },
+    { role: 'assistant', content: assistantMessage }
+  );
+  conversation.updatedAt = moment(now).format();
+  return conversation;
+}
+
+function needsCompaction(conversation) {
+  return conversation.messages.length > MAX_MESSAGES;
+}
+
+function formatTurns(messages) {
+  return messages.map(m => `${m.role === 'user' ? 'ユーザー' : 'メンター'}: ${m.content}`).join('\n');
+}
+
+function clampSummary(text) {
+  return text.length > MAX_SUMMARY_LENGTH ? text.slice(text.length - MAX_SUMMARY_LENGTH) : text;
+}
+
+// LLMが使えないときは古い発言を短く切って要約の末尾に足す
+function fallbackSummary(summary, messages) {
+  const turns = messages.map(m => ({ ...m, content: m.content.slice(0, FALLBACK_TURN_LENGTH) }));
+  return clampSummary([summary, formatTurns(turns)].filter(Boolean).join('\n'));
+}
+
+// 古い発言を要約に畳み込む（llm が null または失敗した場合は fallbackSummary）
+async function compactConversation(conversation, llm) {
+  if (!needsCompaction(conversation)) {
+    return conversation;
+  }
+
+  const older = conversation.messages.slice(0, conversation.messages.length - KEEP_MESSAGES);
+  let summary;
+  try {
+    if (!llm) {
+      throw new Error('LLM未設定');
+    }
+    summary = await llm.complete({
+      messages: [{
+        role: 'user',
+        content: `以下はタスクメンターとユーザーの会話です。これまでの要約と合わせて、ユーザーの状況・悩み・約束したこと・メンターの助言を${MAX_SUMMARY_LENGTH / 2}文字以内の日本語で要約してください。
+
+これまでの要約:
+${conversation.summary || '（なし）'}
+
+会話:
+${formatTurns(older)}`
+      }],
+      maxTokens: 400,
+      temperature: 0
+    });
+    summary = clampSummary(summary.trim());
+  } catch (error) {
+    console.error('会話要約エラー:', error.message);
+    summary = fallbackSummary(conversation.summary, older);
+  }
+
+  conversation.summary = summary;
+  conversation.messages = conversation.messages.slice(older.length);
+  return conversation;
+}
+
+// LLMに渡す過去の会話（要約 → 直近の発言）
+function buildHistoryMessages(conversation) {
+  const summary = conversation.summary
+    ? [{ role: 'system', content: `これまでの会話の要約:\n${conversation.summary}` }]
+    : [];
+  return [...summary, ...conversation.messages];
+}
+
+// 直近の週ごとの達成率（today を含む7日単位で PAST_WEEKS 週分、新しい順）
+function summarizePastWeeks(days, today, weeks = PAST_WEEKS) {
+  return Array.from({ length: weeks }, (_, i) => {
+    const to = moment(today, 'YYYY-MM-DD').subtract(i * 7, 'days');
+    const from = to.clone().subtract(6, 'days');
+    const range = { from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') };
+    const stats = summarizeDays(days.filter(d => d.date >= range.from && d.date <= range.to));
+    return {
+      ...range,
+      recordedDays: stats.days,
+      completed: stats.completedTasks,
+      total: stats.totalTasks,
+      completionRate: getCompletionRate(stats)
+    };
+  }).filter(week => week.recordedDays > 0);
+}
+
+// 繰り返し出てくる未達理由（2回以上、多い順）
+function findRecurringMissReasons(days) {
+  const counts = new Map();
+  days.flatMap(day => day.tasks)
+    .filter(t => (t.status === 'miss' || t.status === 'carry' || t.status === 'partial') && t.reason && !SYSTEM_REASONS.includes(t.reason))
+    .forEach(t => {
+      const key = t.reason.normalize('NFKC').trim().toLowerCase();
+      const entry = counts.get(key) || { reason: t.reason.trim(), count: 0, tasks: [] };
+      entry.count += 1;
+      if (!entry.tasks.includes(t.name)) {
+        entry.tasks.push(t.name);
+      }
+      counts.set(key, entry);
+    });
+  return Array.from(counts.values())
+    .filter(entry => entry.count >= 2)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_MISS_REASONS);
+}
+
+module.exports = {
+  PAST_WEEKS,
+  createConversation,
+  appendExchange,
+  compactConversation,
+  buildHistoryMessages,
+  summarizePastWeeks,
+  findRecurringMissReasons
+};
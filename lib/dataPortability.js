@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { MAX_TASKS, getTaskLetter } = require('./reportParser');
+const { MAX_GOALS, getLastGoalNumber } = require('./goals');
+const { DEADLINE_REASON } = require('./streaks');
+const { getLogicalDate } = require('./logicalDay');
+const { parseTime, parseWeekday, parseTimezone, isValidDeadline } = require('./settingsParser');
+
+// 個人データのエクスポート（JSON/CSV）・署名付きダウンロードURL・別インスタンスからのインポート
+
+const EXPORT_VERSION = 1;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TASK_STATUSES = ['pending', 'done', 'partial', 'miss', 'carry'];
+const TASK_IDS = Array.from({ length: MAX_TASKS }, (_, i) => `${i + 1}`);
+const CSV_COLUMNS = ['date', 'task', 'status', 'progress', 'reason', 'goal', 'committedAt', 'reportedAt'];
+
+// インポートで引き継ぐ設定項目と検証（不正な値・未知の項目は無視する）
+const IMPORTABLE_SETTINGS = {
+  amTime: parseTime,
+  pmTime: parseTime,
+  weeklyTime: parseTime,
+  weeklyDay: parseWeekday,
+  deadline: value => (parseTime(value) && isValidDeadline(parseTime(value)) ? parseTime(value) : null),
+  timezone: parseTimezone,
+  tone: value => (['mild', 'sharp', 'dos'].includes(value) ? value : null)
+};
+
+// ユーザーに紐づく記録をまとめる（userStates は一時的な入力待ちなので含めない）
+function buildExport(repo, userId, now = new Date()) {
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    userId,
+    user: repo.getUser(userId),
+    goals: repo.getGoals(userId),
+    days: repo.listAllDays(userId),
+    weeklyReports: repo.listWeeklyReports(userId),
+    conversation: repo.getConversation(userId),
+    safetyEvents: repo.listSafetyEvents(userId),
+    events: repo.listEvents(userId)
+  };
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// タスク履歴のCSV（1行1タスク。Excelで文字化けしないようBOMを付ける）
+function buildCsv(data) {
+  const goalNames = new Map((data.goals || []).map(g => [g.id, g.name]));
+  const rows = data.days.flatMap(day => day.tasks.map(task => [
+    day.date,
+    `${getTaskLetter(task)}. ${task.name}`,
+    task.status,
+    task.progress,
+    task.reason,
+    goalNames.get(task.goalId) || '',
+    day.committedAt,
+    day.reportedAt
+  ]));
+  return `\uFEFF${[CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// 有効期限つきのダウンロードトークン（<base64url(JSON)>.<HMAC>）
+function createDownloadToken(userId, secret, { ttlMinutes, now = Date.now() }) {
+  const payload = Buffer.from(JSON.stringify({ u: userId, e: now + ttlMinutes * 60 * 1000 })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// 検証結果: { userId } / { error: 'invalid' | 'expired' }
+function verifyDownloadToken(token, secret, now = Date.now()) {
+  const [payload, signature] = (token || '').split('.');
+  if (!payload || !signature) {
+    return { error: 'invalid' };
+  }
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { error: 'invalid' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'invalid' };
+  }
+  return now > claims.e ? { error: 'expired' } : { userId: claims.u };
+}
+
+// キーワードが空だと朝コミットの目標判定（matchGoalByKeywords）で使えない
+function isValidGoal(goal) {
+  return goal && /^g\d+$/.test(goal.id) && typeof goal.name === 'string' && goal.name.trim() !== '' &&
+    Array.isArray(goal.keywords) && goal.keywords.length > 0 &&
+    goal.keywords.every(keyword => typeof keyword === 'string' && keyword.trim() !== '');
+}
+
+function isOptional(value, test) {
+  return value === null || value === undefined || test(value);
+}
+
+function isString(value) {
+  return typeof value === 'string';
+}
+
+// 理由・進捗は未達理由の集計（findRecurringMissReasons）や達成率の計算でそのまま使う
+function isValidTask(task) {
+  return task && TASK_IDS.includes(task.id) && isString(task.name) && task.name.trim() !== '' &&
+    TASK_STATUSES.includes(task.status) &&
+    isOptional(task.reason, isString) &&
+    isOptional(task.progress, value => Number.isFinite(value) && value >= 0 && value <= 100) &&
+    isOptional(task.goalId, isString) &&
+    isOptional(task.carryCount, value => Number.isInteger(value) && value >= 0);
+}
+
+function isValidDay(day) {
+  return day && DATE_PATTERN.test(day.date) && Array.isArray(day.tasks) &&
+    day.tasks.length > 0 && day.tasks.length <= MAX_TASKS && day.tasks.every(isValidTask) &&
+    new Set(day.tasks.map(t => t.id)).size === day.tasks.length &&
+    ['committedAt', 'reportedAt', 'closedAt'].every(key => isOptional(day[key], isString));
+}
+
+// nextWeekTasks は週次レビューのボタン（handleWeeklyCommit）でタスク名を取り出す
+function isValidWeeklyReport(report) {
+  return report && isString(report.week) && report.week !== '' &&
+    isOptional(report.nextWeekTasks, tasks => Array.isArray(tasks) &&
+      tasks.every(t => t && isString(t.name) && t.name.trim() !== ''));
+}
+
+// エクスポートJSONの形式チェック（問題があれば日本語のメッセージ、なければ null）
+function validateImport(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'JSONの形式が不正です';
+  }
+  if (data.version !== EXPORT_VERSION) {
+    return `対応していない形式です（version ${data.version}）`;
+  }
+  if (!Array.isArray(data.days) || !data.days.every(isValidDay)) {
+    return 'タスク履歴（days）の形式が不正です';
+  }
+  const goals = data.goals || [];
+  if (!Array.isArray(goals) || !goals.every(isValidGoal)) {
+    return '目標（goals）の形式が不正です';
+  }
+  if (goals.length > MAX_GOALS) {
+    return `目標（goals）は${MAX_GOALS}個までです`;
+  }
+  const weeklyReports = data.weeklyReports || [];
+  if (!Array.isArray(weeklyReports) || !weeklyReports.every(isValidWeeklyReport)) {
+    return '週次レビュー（weeklyReports）の形式が不正です';
+  }
+  return null;
+}
+
+// 週次レビューは表示用の集計の項目だけを写す（エクスポート元の余分な項目は持ち込まない）
+const WEEKLY_REPORT_FIELDS = [
+  'days', 'totalTasks', 'completedTasks', 'partialTasks', 'carriedTasks', 'missedTasks', 'pendingTasks', 'completionScore',
+  'completionRate', 'alignment', 'goalBreakdown', 'escapeTasks', 'carryOvers', 'mostMissed', 'streaks', 'escalation',
+  'verdict', 'source', 'createdAt'
+];
+
+function pick(source, keys) {
+  return Object.fromEntries(keys.filter(key => source[key] !== undefined).map(key => [key, source[key]]));
+}
+
+function toStringOrNull(value) {
+  return isString(value) ? value : null;
+}
+
+// 今日の論理日より前で未報告のタスクが残っている日は、締め処理（closeDay）と同じく締切超過の未達にして締める
+function importDay(userId, day, goalIds, today, now) {
+  const isPast = day.date < today;
+  const tasks = day.tasks.map(task => {
+    const isUnreported = isPast && task.status === 'pending';
+    return {
+      id: task.id,
+      name: task.name,
+      status: isUnreported ? 'miss' : task.status,
+      progress: typeof task.progress === 'number' ? task.progress : null,
+      reason: isUnreported ? DEADLINE_REASON : toStringOrNull(task.reason),
+      goalId: goalIds.get(task.goalId) || null,
+      carryCount: task.carryCount || 0
+    };
+  });
+  const hasUnreported = isPast && day.tasks.some(task => task.status === 'pending');
+  return {
+    userId,
+    date: day.date,
+    tasks,
+    committedAt: toStringOrNull(day.committedAt),
+    reportedAt: toStringOrNull(day.reportedAt),
+    closedAt: toStringOrNull(day.closedAt) || (hasUnreported ? now.format() : null)
+  };
+}
+
+// 別インスタンスのエクスポートを取り込む（userId は読み替え、既存の記録がある日・週は上書きしない）
+// 目標はまだ1件もない場合だけ引き継ぐ。引き継いだ目標には移行先で使っていない番号を振り直し、
+// 取り込むタスクの goalId もそれに合わせる（引き継がなかった目標を指す goalId は外す）
+function importUserData(repo, user, data, now = new Date()) {
+  const userId = user.id;
+  const importedGoals = data.goals || [];
+  const currentGoals = repo.getGoals(userId);
+  const goalIds = new Map();
+  if (currentGoals.length === 0 && importedGoals.length > 0) {
+    let lastNumber = getLastGoalNumber(user, repo.listAllDays(userId));
+    repo.saveGoals(userId, importedGoals.map(goal => {
+      lastNumber += 1;
+      goalIds.set(goal.id, `g${lastNumber}`);
+      return { id: `g${lastNumber}`, name: goal.name, keywords: goal.keywords, createdAt: toStringOrNull(goal.createdAt) };
+    }));
+    user.lastGoalNumber = lastNumber;
+  }
+
+  const current = moment(now).tz(user.settings.timezone);
+  const today = user.logicalDate || getLogicalDate(user.settings, current);
+  const days = data.days.filter(day => !repo.getDay(userId, day.date));
+  days.forEach(day => repo.saveDay(importDay(userId, day, goalIds, today, current)));
+
+  const reports = (data.weeklyReports || []).filter(report => !repo.getWeeklyReport(userId, report.week));
+  reports.forEach(report => repo.saveWeeklyReport(userId, report.week, {
+    ...pick(report, WEEKLY_REPORT_FIELDS),
+    nextWeekTasks: (report.nextWeekTasks || []).map(t => ({ name: t.name, reason: toStringOrNull(t.reason), note: toStringOrNull(t.note) })),
+    userId
+  }));
+
+  const settings = (data.user && data.user.settings) || {};
+  Object.entries(IMPORTABLE_SETTINGS).forEach(([key, parse]) => {
+    const value = typeof settings[key] === 'string' ? parse(settings[key]) : null;
+    if (!value) {
+      return;
+    }
+    // セーフティモード中のトーンは解除後のトーンとして予約する
+    if (key === 'tone' && user.safety) {
+      user.safety.originalTone = value;
+    } else {
+      user.settings[key] = value;
+    }
+  });
+  repo.saveUser(user);
+
+  return {
+    days: days.length,
+    weeklyReports: reports.length,
+    goals: goalIds.size
+  };
+}
+
+module.exports = {
+  EXPORT_VERSION,
+  buildExport,
+  buildCsv,
+  createDownloadToken,
+  verifyDownloadToken,
+  validateImport,
+  importUserData
+};
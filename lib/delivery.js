@@ -0,0 +1,158 @@
+// 送信キュー（失敗した送信の再試行・レート制限の待機）と、返信できなかったときのPush先の記録
+
+// 再試行するのは通信エラー（status 0）・429・5xx だけ。それ以外の失敗はすぐに返す
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+// Retry-After がこれより長い場合は待たずに失敗として返す
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+// 同時に送る数
+const CONCURRENCY = 4;
+
+// replyToken → userId を覚えておく時間（LINEの replyToken は受信から1分程度で失効する）
+const REPLY_TARGET_TTL_MS = 10 * 60 * 1000;
+
+function isRetryable(result) {
+  return result.status === 0 || result.status === 429 || result.status >= 500;
+}
+
+// Retry-After ヘッダー（秒数かHTTP日付）→ 待つミリ秒（読めなければ null）
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value.trim()) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// attempt 回目の失敗後に待つ時間（指数バックオフ＋ゆらぎ）
+function getBackoffDelay(attempt, random = Math.random) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + random() * delay / 2);
+}
+
+// send(attempt) は { ok, status, statusText, body, retryAfterMs? } を返す関数
+// enqueue の戻り値は最終結果に試行回数 attempts を付けたもの（例外は status 0 の失敗として扱う）
+// 429 を受けたら Retry-After の間は同じ送信先（options.transport）の送信だけを止める
+// 再試行・停止の待ちの間は送信枠を空けて、他の送信を先に進める
+function createDeliveryQueue({ maxAttempts = MAX_ATTEMPTS, concurrency = CONCURRENCY, sleep = ms => new Promise(resolve => setTimeout(resolve, ms)), now = () => Date.now() } = {}) {
+  const pending = [];
+  const pausedUntil = new Map();
+  let running = 0;
+  let wakeAt = null;
+
+  async function attemptOnce(send, attempt) {
+    try {
+      return await send(attempt);
+    } catch (error) {
+      return { ok: false, status: 0, statusText: error.message, body: null };
+    }
+  }
+
+  // 次の試行ができる時刻（再試行の待ちと送信先の停止のうち遅いほう）
+  function getReadyAt(job) {
+    return Math.max(job.notBefore, pausedUntil.get(job.transport) || 0);
+  }
+
+  // 待っている送信が送れるようになる時刻に pump し直す（今すぐ送れるものは送信枠が空いたときに pump する）
+  function scheduleWake() {
+    const waiting = pending.map(getReadyAt).filter(readyAt => readyAt > now());
+    if (waiting.length === 0) {
+      return;
+    }
+    const readyAt = Math.min(...waiting);
+    if (wakeAt !== null && wakeAt <= readyAt) {
+      return;
+    }
+    wakeAt = readyAt;
+    sleep(Math.max(0, readyAt - now())).then(() => {
+      if (wakeAt === readyAt) {
+        wakeAt = null;
+      }
+      pump();
+    });
+  }
+
+  async function run(job) {
+    const attempt = job.attempts + 1;
+    const result = await attemptOnce(job.send, attempt);
+    if (result.ok || !isRetryable(result) || attempt >= job.maxAttempts) {
+      return { ...result, attempts: attempt };
+    }
+
+    const delay = result.retryAfterMs !== null && result.retryAfterMs !== undefined ? result.retryAfterMs : getBackoffDelay(attempt);
+    if (delay > MAX_RETRY_AFTER_MS) {
+      return { ...result, attempts: attempt };
+    }
+    if (result.status === 429) {
+      pausedUntil.set(job.transport, Math.max(pausedUntil.get(job.transport) || 0, now() + delay));
+    }
+    console.log('送信を再試行します:', { transport: job.transport, status: result.status, attempt, delayMs: delay });
+    job.attempts = attempt;
+    job.notBefore = now() + delay;
+    return null;
+  }
+
+  function pump() {
+    while (running < concurrency) {
+      const index = pending.findIndex(job => getReadyAt(job) <= now());
+      if (index === -1) {
+        break;
+      }
+      const [job] = pending.splice(index, 1);
+      running += 1;
+      run(job).then(result => {
+        if (result) {
+          job.resolve(result);
+        } else {
+          pending.push(job);
+        }
+      }, job.reject).finally(() => {
+        running -= 1;
+        pump();
+      });
+    }
+    scheduleWake();
+  }
+
+  return {
+    // options.maxAttempts: 1 にすると再試行しない（replyToken のように1回しか使えないもの）
+    // options.transport: 429 で止める単位（送信先の名前）
+    enqueue(send, options = {}) {
+      return new Promise((resolve, reject) => {
+        pending.push({ send, maxAttempts: options.maxAttempts || maxAttempts, transport: options.transport || null, attempts: 0, notBefore: 0, resolve, reject });
+        pump();
+      });
+    },
+    size: () => pending.length + running
+  };
+}
+
+// 受信したイベントの replyToken と送信者を覚えておき、返信に失敗したときのPush先にする
+function createReplyTargets(ttlMs = REPLY_TARGET_TTL_MS) {
+  const targets = new Map();
+
+  return {
+    remember(replyToken, to, now = Date.now()) {
+      targets.forEach((entry, token) => {
+        if (entry.expiresAt <= now) {
+          targets.delete(token);
+        }
+      });
+      targets.set(replyToken, { to, expiresAt: now + ttlMs });
+    },
+    lookup(replyToken, now = Date.now()) {
+      const entry = targets.get(replyToken);
+      return entry && entry.expiresAt > now ? entry.to : null;
+    }
+  };
+}
+
+module.exports = {
+  parseRetryAfter,
+  createDeliveryQueue,
+  createReplyTargets
+};
@@ -0,0 +1,275 @@
+const moment = require('moment-timezone');
+const { STATUS_ICONS, WEEKDAY_LABELS, getTaskScore } = require('./history');
+const { getTaskLetter } = require('./reportParser');
+
+// タスクカード・週次レビュー（Flex Message）と、ボタンから送られる postback の組み立て・解析
+// postback: "task:<日付>:<A-C>:<done|partial|miss>" / "weekly:commit:<週>:<番号|all>"
+
+const TASK_ACTIONS = [
+  { status: 'done', label: '✅ 完了', style: 'primary', color: '#2E7D32' },
+  { status: 'partial', label: '🔶 一部', style: 'secondary' },
+  { status: 'miss', label: '❌ 未達', style: 'secondary' }
+];
+
+// 日付のない "task:<A-C>:<状態>" は以前のカードのボタン（どの日のタスクか分からない）
+const TASK_POSTBACK_PATTERN = /^task:(?:(\d{4}-\d{2}-\d{2}):)?([A-C]):(done|partial|miss)$/;
+const WEEKLY_POSTBACK_PATTERN = /^weekly:commit:(\d{4}-W\d{2}):([1-9]|all)$/;
+
+const BAR_COLOR = '#2E7D32';
+const BAR_BACKGROUND = '#E0E0E0';
+
+// LINEの altText は400文字まで
+const MAX_ALT_TEXT_LENGTH = 400;
+
+const STATUS_LABELS = {
+  done: '完了',
+  miss: '未達',
+  partial: '一部',
+  carry: '持ち越し',
+  pending: '未報告'
+};
+
+function buildTaskPostback(day, task, status) {
+  return `task:${day.date}:${getTaskLetter(task)}:${status}`;
+}
+
+// "task:2024-03-01:B:miss" → { date: '2024-03-01', letter: 'B', status: 'miss' }（以前のカードは date: null、タスクカード以外は null）
+function parseTaskPostback(data) {
+  const match = (data || '').match(TASK_POSTBACK_PATTERN);
+  return match ? { date: match[1] || null, letter: match[2], status: match[3] } : null;
+}
+
+// "weekly:commit:2024-W03:all" → { week: '2024-W03', index: 'all' }（週は getWeekKey のISO週、番号は1始まり）
+function parseWeeklyPostback(data) {
+  const match = (data || '').match(WEEKLY_POSTBACK_PATTERN);
+  return match ? { week: match[1], index: match[2] === 'all' ? 'all' : parseInt(match[2], 10) } : null;
+}
+
+function formatTaskStatusLabel(task) {
+  const label = task.status === 'partial' && task.progress !== null ? `${task.progress}%` : STATUS_LABELS[task.status];
+  return `${STATUS_ICONS[task.status]} ${label}${task.reason ? `（${task.reason}）` : ''}`;
+}
+
+function buildTaskRow(day, task, goals) {
+  const letter = getTaskLetter(task);
+  const goal = goals.find(g => g.id === task.goalId);
+  const contents = [
+    { type: 'text', text: `${letter}. ${task.name}`, weight: 'bold', wrap: true },
+    { type: 'text', text: formatTaskStatusLabel(task), size: 'sm', color: '#666666', wrap: true }
+  ];
+  if (goal) {
+    contents.push({ type: 'text', text: `🎯${goal.name}`, size: 'xs', color: '#999999', wrap: true });
+  }
+  contents.push({
+    type: 'box',
+    layout: 'horizontal',
+    spacing: 'sm',
+    margin: 'sm',
+    contents: TASK_ACTIONS.map(action => ({
+      type: 'button',
+      style: action.style,
+      height: 'sm',
+      ...(action.color ? { color: action.color } : {}),
+      action: {
+        type: 'postback',
+        label: action.label,
+        data: buildTaskPostback(day, task, action.status),
+        displayText: `${letter} ${STATUS_LABELS[action.status]}`
+      }
+    }))
+  });
+  return { type: 'box', layout: 'vertical', spacing: 'xs', contents };
+}
+
+// Flexを表示できない環境（通知・PC版の一部）向けの代替テキスト
+function buildAltText(title, tasks) {
+  const lines = tasks.map(t => `${getTaskLetter(t)}. ${t.name} ${STATUS_ICONS[t.status]}`);
+  return truncateAltText([title, ...lines, 'pm: A=done, B=miss(理由) でも報告できます'].join('\n'));
+}
+
+// 日別記録のタスクを1枚のカードにする（各タスクに 完了/一部/未達 ボタン）
+function buildTaskCard(day, { title, note = null, goals = [] }) {
+  const reported = day.tasks.filter(t => t.status !== 'pending').length;
+  const header = [
+    { type: 'text', text: title, weight: 'bold', size: 'md', wrap: true },
+    { type: 'text', text: `${day.date}・報告済み ${reported}/${day.tasks.length}`, size: 'xs', color: '#999999' }
+  ];
+  const bubble = {
+    type: 'bubble',
+    header: { type: 'box', layout: 'vertical', contents: header },
+    body: {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'lg',
+      contents: day.tasks.map(task => buildTaskRow(day, task, goals))
+    }
+  };
+  if (note) {
+    bubble.footer = {
+      type: 'box',
+      layout: 'vertical',
+      contents: [{ type: 'text', text: note, size: 'xs', color: '#999999', wrap: true }]
+    };
+  }
+  return { type: 'flex', altText: buildAltText(title, day.tasks), contents: bubble };
+}
+
+function truncateAltText(text) {
+  return text.length > MAX_ALT_TEXT_LENGTH ? `${text.slice(0, MAX_ALT_TEXT_LENGTH - 1)}…` : text;
+}
+
+// 1日分のアイコン（全部完了 ✅ / 一部でも進捗あり 🔶 / 進捗なし ❌ / 記録なし －）
+function getDayIcon(day) {
+  if (!day || day.tasks.length === 0) {
+    return '－';
+  }
+  const score = day.tasks.reduce((sum, t) => sum + getTaskScore(t), 0);
+  if (score === day.tasks.length) {
+    return STATUS_ICONS.done;
+  }
+  return score > 0 ? STATUS_ICONS.partial : STATUS_ICONS.miss;
+}
+
+// 曜日ごとの達成状況（range の7日分を横に並べる）
+function buildDayStrip(days, range) {
+  const byDate = new Map(days.map(day => [day.date, day]));
+  const columns = [];
+  for (let date = moment(range.from); date.format('YYYY-MM-DD') <= range.to; date.add(1, 'day')) {
+    const day = byDate.get(date.format('YYYY-MM-DD'));
+    const done = day ? day.tasks.filter(t => t.status === 'done').length : 0;
+    columns.push({
+      type: 'box',
+      layout: 'vertical',
+      flex: 1,
+      contents: [
+        { type: 'text', text: WEEKDAY_LABELS[date.day()], size: 'xs', color: '#999999', align: 'center' },
+        { type: 'text', text: getDayIcon(day), size: 'sm', align: 'center' },
+        { type: 'text', text: day ? `${done}/${day.tasks.length}` : '-', size: 'xxs', color: '#999999', align: 'center' }
+      ]
+    });
+  }
+  return { type: 'box', layout: 'horizontal', contents: columns };
+}
+
+// ラベル付きの横棒（ratio は 0〜1、null は未計測）
+function buildBar(label, ratio, valueText) {
+  const width = ratio === null ? 0 : Math.round(Math.min(1, Math.max(0, ratio)) * 100);
+  return {
+    type: 'box',
+    layout: 'vertical',
+    spacing: 'xs',
+    contents: [
+      {
+        type: 'box',
+        layout: 'horizontal',
+        contents: [
+          { type: 'text', text: label, size: 'sm', flex: 1 },
+          { type: 'text', text: valueText, size: 'sm', align: 'end', flex: 1, wrap: true }
+        ]
+      },
+      {
+        type: 'box',
+        layout: 'vertical',
+        height: '8px',
+        backgroundColor: BAR_BACKGROUND,
+        cornerRadius: '4px',
+        contents: [
+          {
+            type: 'box',
+            layout: 'vertical',
+            width: `${width}%`,
+            height: '8px',
+            backgroundColor: BAR_COLOR,
+            cornerRadius: '4px',
+            contents: [{ type: 'filler' }]
+          }
+        ]
+      }
+    ]
+  };
+}
+
+function buildSectionTitle(text) {
+  return { type: 'text', text, weight: 'bold', size: 'sm', margin: 'lg' };
+}
+
+function buildCommitButton(label, week, index) {
+  return {
+    type: 'button',
+    style: index === 'all' ? 'primary' : 'secondary',
+    height: 'sm',
+    ...(index === 'all' ? { color: BAR_COLOR } : {}),
+    action: {
+      type: 'postback',
+      label,
+      data: `weekly:commit:${week}:${index}`,
+      displayText: index === 'all' ? '来週はこの案でやる' : `来週やる: ${label.replace(/^\d+\.\s*/, '')}`
+    }
+  };
+}
+
+// 週次レビューのカード（曜日ストリップ・達成率/アラインメントの棒・未達の多いタスク・来週のコミットボタン）
+// altText にはテキスト版のレビューを入れる。notes はトーン別の指摘（逃避タスクなど）
+function buildWeeklyReviewCard(review, { title, closingLine, altText, notes = [] }) {
+  const body = [
+    buildDayStrip(review.days, review.range),
+    { type: 'separator', margin: 'md' },
+    buildBar('達成率', review.completionRate / 100, `${review.completionRate}%`),
+    buildBar('アラインメント', review.alignment, review.alignment === null ? '未計測（/goal add）' : review.alignment.toFixed(2))
+  ];
+
+  if (review.mostMissed.length > 0) {
+    body.push(buildSectionTitle('未達が多かったタスク'));
+    review.mostMissed.forEach(t => {
+      body.push({ type: 'text', text: `${STATUS_ICONS.miss} ${t.name}（${t.total}回中${t.missed}回未達）`, size: 'sm', wrap: true });
+    });
+  }
+
+  if (review.nextWeekTasks.length > 0) {
+    body.push(buildSectionTitle('来週の上位タスク案'));
+    review.nextWeekTasks.forEach((t, i) => {
+      body.push({ type: 'text', text: `${i + 1}. ${t.name}`, size: 'sm', wrap: true });
+    });
+  }
+
+  notes.filter(note => note).forEach(note => {
+    body.push({ type: 'text', text: note, size: 'sm', margin: 'lg', wrap: true });
+  });
+
+  body.push({ type: 'text', text: closingLine, size: 'sm', weight: 'bold', margin: 'lg', wrap: true });
+
+  const bubble = {
+    type: 'bubble',
+    header: {
+      type: 'box',
+      layout: 'vertical',
+      contents: [
+        { type: 'text', text: title, weight: 'bold', size: 'md', wrap: true },
+        { type: 'text', text: `${review.range.from} 〜 ${review.range.to}`, size: 'xs', color: '#999999' }
+      ]
+    },
+    body: { type: 'box', layout: 'vertical', spacing: 'sm', contents: body }
+  };
+
+  if (review.nextWeekTasks.length > 0) {
+    bubble.footer = {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'sm',
+      contents: [
+        ...review.nextWeekTasks.map((t, i) => buildCommitButton(`${i + 1}. ${t.name}`.slice(0, 20), review.week, i + 1)),
+        buildCommitButton('全部コミットする', review.week, 'all')
+      ]
+    };
+  }
+
+  return { type: 'flex', altText: truncateAltText(altText), contents: bubble };
+}
+
+module.exports = {
+  STATUS_LABELS,
+  parseTaskPostback,
+  parseWeeklyPostback,
+  buildTaskCard,
+  buildWeeklyReviewCard
+};
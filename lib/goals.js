@@ -0,0 +1,135 @@
+// 人生目標・四半期目標の登録とタスクの紐付け
+const MAX_GOALS = 5;
+
+// "/goal add" の入力を目標名とキーワードに分解
+// 例: "英語力を上げる: 英語, TOEIC" → { name: '英語力を上げる', keywords: ['英語', 'TOEIC'] }
+function parseGoalInput(text) {
+  const [name, keywordText = ''] = text.split(/[:：]/, 2).map(s => s.trim());
+  if (!name) {
+    return null;
+  }
+  const keywords = keywordText
+    .split(/[,、，]/)
+    .map(k => k.trim())
+    .filter(k => k);
+  return { name, keywords: keywords.length > 0 ? keywords : [name] };
+}
+
+// "g3" → 3（形式が違えば 0）
+function getGoalNumber(goalId) {
+  return /^g\d+$/.test(goalId || '') ? parseInt(goalId.slice(1), 10) : 0;
+}
+
+// ユーザーがこれまでに使った目標番号の最大（user.lastGoalNumber。記録がなければ日別記録に残る goalId から求める）
+function getLastGoalNumber(user, days) {
+  if (Number.isInteger(user.lastGoalNumber)) {
+    return user.lastGoalNumber;
+  }
+  return days.flatMap(day => day.tasks).reduce((max, task) => Math.max(max, getGoalNumber(task.goalId)), 0);
+}
+
+// 目標IDは g1, g2, … の連番。削除した目標の番号は使い回さない（過去のタスクの goalId が別の目標に付かないように）
+// 呼び出し側は user.lastGoalNumber を新しい目標の番号に更新する
+function createGoal(goals, input, lastNumber = 0) {
+  const nextNumber = goals.reduce((max, goal) => Math.max(max, getGoalNumber(goal.id)), lastNumber) + 1;
+  return {
+    id: `g${nextNumber}`,
+    name: input.name,
+    keywords: input.keywords,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// キーワードルールでタスクに目標を割り当てる（最初に一致した目標）
+function matchGoalByKeywords(taskName, goals) {
+  const name = taskName.toLowerCase();
+  const goal = goals.find(g => g.keywords.some(keyword => name.includes(keyword.toLowerCase())));
+  return goal ? goal.id : null;
+}
+
+// 記録済みの目標IDが有効ならそれを、なければキーワードで判定
+function resolveGoalId(task, goals) {
+  return goals.some(g => g.id === task.goalId) ? task.goalId : matchGoalByKeywords(task.name, goals);
+}
+
+// LLMでタスクを目標に分類する（戻り値はタスクID→目標IDのオブジェクト）
+async function classifyTasksWithLLM(llm, tasks, goals) {
+  const prompt = `次のタスクがどの目標に寄与するか分類してください。どれにも当てはまらない場合は null にしてください。
+JSONのみで {"タスクID": "目標ID" | null} の形式で答えてください。
+
+目標:
+${goals.map(g => `- ${g.id}: ${g.name}`).join('\n')}
+
+タスク:
+${tasks.map(t => `- ${t.id}: ${t.name}`).join('\n')}`;
+
+  const content = await llm.complete({
+    messages: [{ role: 'user', content: prompt }],
+    maxTokens: 200,
+    temperature: 0
+  });
+
+  const parsed = JSON.parse(content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1));
+  const goalIds = new Set(goals.map(g => g.id));
+  const result = {};
+  tasks.forEach(task => {
+    result[task.id] = goalIds.has(parsed[task.id]) ? parsed[task.id] : null;
+  });
+  return result;
+}
+
+// 週のタスクから目標別の内訳とアラインメント（0–1）を算出
+// アラインメント = 目標に紐付いた完了タスク数 / 完了タスク数
+function computeAlignment(tasks, goals) {
+  if (goals.length === 0) {
+    return { alignment: null, breakdown: [] };
+  }
+
+  const breakdown = goals.map(goal => ({ goalId: goal.id, name: goal.name, total: 0, done: 0 }));
+  const unaligned = { goalId: null, name: '目標外', total: 0, done: 0 };
+
+  tasks.forEach(task => {
+    const goalId = resolveGoalId(task, goals);
+    const entry = breakdown.find(b => b.goalId === goalId) || unaligned;
+    entry.total += 1;
+    if (task.status === 'done') {
+      entry.done += 1;
+    }
+  });
+
+  const doneTotal = breakdown.reduce((sum, b) => sum + b.done, 0) + unaligned.done;
+  const alignedDone = doneTotal - unaligned.done;
+  const alignment = doneTotal > 0 ? Math.round((alignedDone / doneTotal) * 100) / 100 : 0;
+
+  return {
+    alignment,
+    breakdown: unaligned.total > 0 ? [...breakdown, unaligned] : breakdown
+  };
+}
+
+function formatGoalBreakdown(breakdown) {
+  return breakdown.map(b => `• ${b.name}: ${b.done}/${b.total}完了`).join('\n');
+}
+
+function formatGoalList(goals) {
+  if (goals.length === 0) {
+    return '目標はまだ登録されていません。\n\n例: /goal add 英語力を上げる: 英語, TOEIC';
+  }
+  return `登録中の目標（${goals.length}/${MAX_GOALS}）:\n${goals
+    .map((g, i) => `${i + 1}. ${g.name}（キーワード: ${g.keywords.join(', ')}）`)
+    .join('\n')}`;
+}
+
+module.exports = {
+  MAX_GOALS,
+  parseGoalInput,
+  getGoalNumber,
+  getLastGoalNumber,
+  createGoal,
+  matchGoalByKeywords,
+  resolveGoalId,
+  classifyTasksWithLLM,
+  computeAlignment,
+  formatGoalBreakdown,
+  formatGoalList
+};
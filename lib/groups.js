@@ -0,0 +1,144 @@
+const { STATUS_ICONS, getTaskScore, summarizeDays, getCompletionRate } = require('./history');
+const { getTaskLetter } = require('./reportParser');
+
+// LINEのグループ・複数人トークで使う「みんなのボード」（朝のコミット一覧・夜のスコアボード・週次レビュー）
+// 各メンバーのタスクは個人の記録のまま。ここではそれを並べて見せるだけ
+// entries は [{ userId, name, day }]（day はそのメンバーの当日の記録。未宣言なら null）
+
+// textV2 のメンションは1通に100件まで
+const MAX_MENTIONS = 100;
+
+const GROUP_HELP = `👥 グループモード
+
+各自このトークで宣言・報告してください。
+• am: タスクA, タスクB … 今日のタスクを宣言
+• pm: A=done, B=miss(理由) … 結果を報告
+• /board … 今の状況を表示
+• /time am 09:00 pm 21:30 weekly Sun 19:00 … ボードの時刻
+• /tz Asia/Tokyo … グループのタイムゾーン
+
+朝はみんなの宣言をまとめたボード、夜はスコアボードを送ります（未報告の人にはそっと声をかけます）。週の終わりにはグループの週次レビューを送ります。
+個人の設定・履歴・相談は1:1のトークでどうぞ。`;
+
+// グループ・複数人トークのID（1:1なら null）
+function getGroupId(source) {
+  return (source && (source.groupId || source.roomId)) || null;
+}
+
+// textV2 では {…} が置換の目印になるので、利用者の入力に含まれる波括弧は全角にする
+function escapeText(text) {
+  return String(text).replace(/\{/g, '｛').replace(/\}/g, '｝');
+}
+
+// 行の配列と、メンションする userId の配列から1通のメッセージを作る（メンションがなければ通常のテキスト）
+function buildMessage(lines, mentionIds = []) {
+  const text = lines.join('\n');
+  const ids = mentionIds.slice(0, MAX_MENTIONS);
+  if (ids.length === 0) {
+    return { type: 'text', text };
+  }
+  const substitution = {};
+  ids.forEach((userId, index) => {
+    substitution[`m${index}`] = { type: 'mention', mentionee: { type: 'user', userId } };
+  });
+  return { type: 'textV2', text, substitution };
+}
+
+function countDone(day) {
+  return day.tasks.filter(t => t.status === 'done').length;
+}
+
+function hasReported(day) {
+  return Boolean(day && day.tasks.length > 0 && day.tasks.every(t => t.status !== 'pending'));
+}
+
+// 朝のボード（宣言したメンバーのタスクと、まだ宣言していないメンバー）
+function buildMorningBoard(entries, date) {
+  const committed = entries.filter(entry => entry.day && entry.day.tasks.length > 0);
+  const waiting = entries.filter(entry => !committed.includes(entry));
+  const lines = [`☀️ 今日のみんなのコミット（${date}）`];
+
+  if (committed.length === 0) {
+    lines.push('', 'まだ誰も宣言していません。am: タスクA, タスクB で今日のタスクを教えてください。');
+  }
+  committed.forEach(entry => {
+    lines.push('', `■ ${escapeText(entry.name)}`);
+    entry.day.tasks.forEach(task => lines.push(`${getTaskLetter(task)}. ${escapeText(task.name)}`));
+  });
+  if (waiting.length > 0 && committed.length > 0) {
+    lines.push('', `まだの人: ${waiting.map(entry => escapeText(entry.name)).join('、')}`);
+    lines.push('思いついたら am: でどうぞ。');
+  }
+  return buildMessage(lines);
+}
+
+// 夜のスコアボード（達成数の多い順。宣言したのに報告がない人にはメンションで声をかける）
+// mention: false なら /board 用にメンションなしで作る
+function buildScoreboard(entries, date, { mention = true } = {}) {
+  const committed = entries.filter(entry => entry.day && entry.day.tasks.length > 0);
+  const unreported = committed.filter(entry => !hasReported(entry.day));
+  const noCommit = entries.filter(entry => !committed.includes(entry));
+  const lines = [`🌙 今日のスコアボード（${date}）`];
+
+  if (committed.length === 0) {
+    lines.push('', '今日は宣言がありませんでした。明日は am: で宣言してみましょう。');
+    return buildMessage(lines);
+  }
+
+  const score = entry => entry.day.tasks.reduce((sum, t) => sum + getTaskScore(t), 0) / entry.day.tasks.length;
+  committed
+    .slice()
+    .sort((a, b) => score(b) - score(a))
+    .forEach(entry => {
+      const icons = entry.day.tasks.map(t => STATUS_ICONS[t.status] || '⬜').join('');
+      lines.push(`${escapeText(entry.name)}: ${countDone(entry.day)}/${entry.day.tasks.length} ${icons}`);
+    });
+
+  const done = committed.reduce((sum, entry) => sum + countDone(entry.day), 0);
+  const total = committed.reduce((sum, entry) => sum + entry.day.tasks.length, 0);
+  lines.push('', `みんなで ${done}/${total}タスク完了`);
+
+  if (unreported.length > 0) {
+    const names = unreported.map((entry, index) => (mention ? `{m${index}}` : escapeText(entry.name)));
+    lines.push('', `${names.join(' ')} さん、今日はどうでしたか？ pm: A=done, B=miss(理由) で報告できます。`);
+  }
+  if (noCommit.length > 0) {
+    lines.push(`宣言なし: ${noCommit.map(entry => escapeText(entry.name)).join('、')}`);
+  }
+  return buildMessage(lines, mention ? unreported.map(entry => entry.userId) : []);
+}
+
+// グループの週次レビュー（members は [{ name, days }]、days は直近7日の個人の記録）
+function buildGroupWeeklyReview(members, range) {
+  const rows = members.map(member => {
+    const summary = summarizeDays(member.days);
+    return { name: member.name, summary, rate: getCompletionRate(summary) };
+  });
+  const total = summarizeDays(members.flatMap(member => member.days));
+  const lines = [`📊 グループの週次レビュー（${range.from}〜${range.to}）`, ''];
+
+  const active = rows.filter(row => row.summary.totalTasks > 0).sort((a, b) => b.rate - a.rate);
+  if (active.length === 0) {
+    lines.push('今週は記録がありませんでした。来週は am: の宣言から始めましょう。');
+    return buildMessage(lines);
+  }
+
+  lines.push(`全体の達成率: ${getCompletionRate(total)}%（${total.completedTasks}/${total.totalTasks}タスク）`, '');
+  active.forEach(row => {
+    lines.push(`${escapeText(row.name)}: ${row.rate}%（宣言${row.summary.days}日・${row.summary.completedTasks}/${row.summary.totalTasks}タスク）`);
+  });
+  const inactive = rows.filter(row => row.summary.totalTasks === 0);
+  if (inactive.length > 0) {
+    lines.push('', `今週は記録なし: ${inactive.map(row => escapeText(row.name)).join('、')}`);
+  }
+  lines.push('', '来週もこのトークで宣言し合いましょう。個人の詳しい振り返りは1:1トークの /weekly で。');
+  return buildMessage(lines);
+}
+
+module.exports = {
+  GROUP_HELP,
+  getGroupId,
+  buildMorningBoard,
+  buildScoreboard,
+  buildGroupWeeklyReview
+};
@@ -0,0 +1,102 @@
+const moment = require('moment-timezone');
+
+const STATUS_ICONS = {
+  done: '✅',
+  miss: '❌',
+  partial: '🔶',
+  carry: '➡️',
+  pending: '⬜'
+};
+
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// 週次レビュー・KPIの週（ISO週。年末年始の日はその週が属する年になる: "2027-W01"）
+const WEEK_KEY_FORMAT = 'GGGG-[W]WW';
+
+// 今日を含む直近N日の日付範囲（YYYY-MM-DD）
+function getDateRange(timezone, days, now = moment()) {
+  const end = moment(now).tz(timezone);
+  return {
+    from: end.clone().subtract(days - 1, 'days').format('YYYY-MM-DD'),
+    to: end.format('YYYY-MM-DD')
+  };
+}
+
+function getWeekKey(timezone, now = moment()) {
+  return moment(now).tz(timezone).format(WEEK_KEY_FORMAT);
+}
+
+// タスク1件の達成度（done=1、partial=進捗率、それ以外=0）
+function getTaskScore(task) {
+  if (task.status === 'done') {
+    return 1;
+  }
+  return task.status === 'partial' ? (task.progress || 0) / 100 : 0;
+}
+
+// 日別記録からタスク数を集計
+function summarizeDays(days) {
+  const allTasks = days.flatMap(day => day.tasks);
+  return {
+    days: days.length,
+    totalTasks: allTasks.length,
+    completedTasks: allTasks.filter(t => t.status === 'done').length,
+    partialTasks: allTasks.filter(t => t.status === 'partial').length,
+    carriedTasks: allTasks.filter(t => t.status === 'carry').length,
+    missedTasks: allTasks.filter(t => t.status === 'miss').length,
+    pendingTasks: allTasks.filter(t => t.status === 'pending').length,
+    completionScore: allTasks.reduce((sum, t) => sum + getTaskScore(t), 0)
+  };
+}
+
+// 達成率（%）。partial は進捗率で重み付けし、carry は未達成として数える
+function getCompletionRate(summary) {
+  return summary.totalTasks > 0 ? Math.round((summary.completionScore / summary.totalTasks) * 100) : 0;
+}
+
+function formatTaskStatus(task) {
+  const progress = task.status === 'partial' ? ` ${task.progress}%` : '';
+  const reason = task.reason ? `（${task.reason}）` : '';
+  return `${STATUS_ICONS[task.status] || '⬜'} ${task.name}${progress}${reason}`;
+}
+
+// /history 用の表示テキスト
+function formatHistory(days, range) {
+  const byDate = new Map(days.map(day => [day.date, day]));
+  const lines = [];
+
+  for (let date = moment(range.from); date.format('YYYY-MM-DD') <= range.to; date.add(1, 'day')) {
+    const key = date.format('YYYY-MM-DD');
+    const label = `${date.format('MM/DD')}(${WEEKDAY_LABELS[date.day()]})`;
+    const day = byDate.get(key);
+
+    if (!day) {
+      lines.push(`📅 ${label} 記録なし`);
+      continue;
+    }
+
+    const done = day.tasks.filter(t => t.status === 'done').length;
+    lines.push(`📅 ${label} ${done}/${day.tasks.length}`);
+    day.tasks.forEach(task => {
+      lines.push(`  ${formatTaskStatus(task)}`);
+    });
+  }
+
+  const summary = summarizeDays(days);
+  lines.push('');
+  lines.push(`合計: ${summary.completedTasks}/${summary.totalTasks}タスク完了（達成率 ${getCompletionRate(summary)}%）`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  STATUS_ICONS,
+  WEEKDAY_LABELS,
+  WEEK_KEY_FORMAT,
+  getDateRange,
+  getWeekKey,
+  getTaskScore,
+  summarizeDays,
+  getCompletionRate,
+  formatTaskStatus,
+  formatHistory
+};
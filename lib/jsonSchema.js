@@ -0,0 +1,78 @@
+// LLMのJSON出力の検証（JSON Schema のサブセット: type / required / properties / items / 長さ・範囲・pattern）
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+// スキーマ違反をパスつきで列挙（空配列なら妥当）
+function validateSchema(value, schema, path = '$') {
+  if (!matchesType(value, schema.type)) {
+    return [`${path}: ${[].concat(schema.type).join('|')} ではありません`];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path}: 空です`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: ${schema.maxLength}文字を超えています`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: 形式が不正です`);
+    }
+  } else if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      errors.push(`${path}: 範囲外です`);
+    }
+  } else if (Array.isArray(value)) {
+    if ((schema.minItems !== undefined && value.length < schema.minItems) || (schema.maxItems !== undefined && value.length > schema.maxItems)) {
+      errors.push(`${path}: 件数が不正です`);
+    }
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  } else if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key}: ありません`);
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (!schema.properties[key]) {
+        errors.push(`${path}.${key}: 不明な項目です`);
+      } else {
+        errors.push(...validateSchema(value[key], schema.properties[key], `${path}.${key}`));
+      }
+    });
+  }
+  return errors;
+}
+
+// コードブロックや前後の文章がついていても最初の { から最後の } までを読む
+function parseJson(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    return null;
+  }
+  try {
+    return JSON.parse(content.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  validateSchema,
+  parseJson
+};
@@ -0,0 +1,68 @@
+// LLM呼び出しのエラー（code で分類し、ユーザーには内部情報を出さない）
+
+const USER_MESSAGES = {
+  timeout: '⏰ AIの応答に時間がかかりすぎました。少し時間をおいてもう一度送ってください。',
+  rate_limited: '混み合っているため、AIが応答できませんでした。少し時間をおいてもう一度送ってください。',
+  unavailable: 'AIに接続できませんでした。少し時間をおいてもう一度送ってください。',
+  auth: 'AI機能の設定に問題があります。管理者にお問い合わせください。',
+  bad_request: 'AIがこのメッセージを処理できませんでした。言い回しを変えて送ってください。',
+  empty_response: 'AIから応答がありませんでした。もう一度送ってください。',
+  unknown: 'AI応答の生成に失敗しました。'
+};
+
+// 再試行する価値があるもの
+const RETRYABLE_CODES = ['timeout', 'rate_limited', 'unavailable', 'empty_response'];
+
+class LLMError extends Error {
+  constructor(code, message, cause = null) {
+    super(message);
+    this.name = 'LLMError';
+    this.code = code;
+    this.retryable = RETRYABLE_CODES.includes(code);
+    this.cause = cause;
+  }
+}
+
+function codeFromStatus(status) {
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status === 408) {
+    return 'timeout';
+  }
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  if (status >= 500) {
+    return 'unavailable';
+  }
+  return status >= 400 ? 'bad_request' : 'unknown';
+}
+
+// プロバイダーやHTTPクライアントの例外を LLMError にそろえる
+function toLLMError(error) {
+  if (error instanceof LLMError) {
+    return error;
+  }
+  if (typeof error.status === 'number') {
+    return new LLMError(codeFromStatus(error.status), error.message, error);
+  }
+  if (/timeout|timed out/i.test(error.name + error.message)) {
+    return new LLMError('timeout', error.message, error);
+  }
+  // fetch の接続失敗（ECONNREFUSED など）
+  if (/connection|fetch failed|ECONN|ENOTFOUND|EAI_AGAIN/i.test(error.name + error.message)) {
+    return new LLMError('unavailable', error.message, error);
+  }
+  return new LLMError('unknown', error.message, error);
+}
+
+function toUserMessage(error) {
+  return USER_MESSAGES[toLLMError(error).code] || USER_MESSAGES.unknown;
+}
+
+module.exports = {
+  LLMError,
+  toLLMError,
+  toUserMessage
+};
@@ -0,0 +1,102 @@
+const { LLMError, toLLMError, toUserMessage } = require('./errors');
+const { createMockProvider } = require('./mockProvider');
+
+const DEFAULT_MODEL = 'gpt-3.5-turbo';
+
+function readNumber(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// LLM_PROVIDER に応じてプロバイダーを生成（openai | mock）。openai で接続先がなければ null
+function createProvider(name = process.env.LLM_PROVIDER || 'openai') {
+  switch (name) {
+    case 'openai': {
+      if (!process.env.OPENAI_API_KEY && !process.env.LLM_BASE_URL) {
+        return null;
+      }
+      // openai パッケージはこのプロバイダーを使うときだけ読み込む
+      const { createOpenAIProvider } = require('./openaiProvider');
+      return createOpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.LLM_BASE_URL,
+        model: process.env.LLM_MODEL || DEFAULT_MODEL
+      });
+    }
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`未対応のLLM_PROVIDERです: ${name}`);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 1回の呼び出しにタイムアウトをかけ、再試行できるエラーは指数バックオフで再試行する
+function createLLMClient(provider, options = {}) {
+  const {
+    timeoutMs = readNumber(process.env.LLM_TIMEOUT_MS, 30000),
+    maxRetries = readNumber(process.env.LLM_MAX_RETRIES, 2),
+    backoffMs = 500,
+    maxTokens = readNumber(process.env.LLM_MAX_TOKENS, 300),
+    temperature = 0.7,
+    wait = sleep
+  } = options;
+
+  async function callOnce(request) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new LLMError('timeout', `LLMの応答が${timeoutMs}msを超えました`));
+      }, timeoutMs);
+    });
+    try {
+      return await Promise.race([provider.complete(request, { signal: controller.signal }), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    provider: provider.name,
+    model: provider.model,
+    // messages: [{ role, content }]。応答テキストを返し、失敗時は LLMError を投げる
+    async complete({ messages, maxTokens: requestMaxTokens, temperature: requestTemperature }) {
+      const request = {
+        messages,
+        maxTokens: requestMaxTokens || maxTokens,
+        temperature: requestTemperature === undefined ? temperature : requestTemperature
+      };
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          return await callOnce(request);
+        } catch (error) {
+          const llmError = toLLMError(error);
+          if (!llmError.retryable || attempt >= maxRetries) {
+            throw llmError;
+          }
+          const delay = backoffMs * 2 ** attempt;
+          console.warn(`LLM呼び出し失敗（${llmError.code}）。${delay}ms後に再試行します（${attempt + 1}/${maxRetries}）`);
+          await wait(delay);
+        }
+      }
+    }
+  };
+}
+
+// 環境変数の設定からクライアントを生成（未設定なら null）
+function createLLM() {
+  const provider = createProvider();
+  return provider ? createLLMClient(provider) : null;
+}
+
+module.exports = {
+  LLMError,
+  toUserMessage,
+  createProvider,
+  createLLMClient,
+  createLLM,
+  createMockProvider
+};
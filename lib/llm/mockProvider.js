@@ -0,0 +1,37 @@
+// オフライン用のモック（ネットワークを使わず、同じ入力には常に同じ応答を返す）
+
+function lastUserMessage(messages) {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  return message ? message.content : '';
+}
+
+// JSONで答えるよう指示されたプロンプトには空のJSONを返す（目標分類などは「該当なし」になる）
+function defaultReply(messages) {
+  if (messages.some(m => m.content.includes('JSONのみ'))) {
+    return '{}';
+  }
+  const text = lastUserMessage(messages).replace(/\s+/g, ' ').trim();
+  const quoted = text.length > 30 ? `${text.slice(0, 30)}…` : text;
+  return `（モック応答）「${quoted}」について: まず今日やることを3つまでに絞り、am: で宣言しましょう。`;
+}
+
+// reply で応答を差し替え、failures 回まで failWith のエラーを投げる（再試行の確認用）
+function createMockProvider({ reply = defaultReply, failures = 0, failWith = null } = {}) {
+  let remainingFailures = failures;
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    async complete(request) {
+      if (remainingFailures > 0) {
+        remainingFailures -= 1;
+        throw failWith || Object.assign(new Error('mock unavailable'), { status: 503 });
+      }
+      return reply(request.messages, request);
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,32 @@
+const OpenAI = require('openai');
+const { LLMError } = require('./errors');
+
+// OpenAI互換のChat Completions API（LLM_BASE_URL でローカルサーバーなどにも向けられる）
+function createOpenAIProvider({ apiKey, baseURL, model }) {
+  const client = new OpenAI({
+    // ローカルサーバーはキー不要のことが多いが、クライアントは空文字を受け付けない
+    apiKey: apiKey || 'not-needed',
+    baseURL: baseURL || undefined,
+    maxRetries: 0 // 再試行は呼び出し側でまとめて行う
+  });
+
+  return {
+    name: 'openai',
+    model,
+    async complete({ messages, maxTokens, temperature }, { signal } = {}) {
+      const response = await client.chat.completions.create(
+        { model, messages, max_tokens: maxTokens, temperature },
+        { signal }
+      );
+      const content = response.choices?.[0]?.message?.content;
+      if (!content) {
+        throw new LLMError('empty_response', 'LLMの応答が空です');
+      }
+      return content;
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIProvider
+};
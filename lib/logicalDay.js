@@ -0,0 +1,48 @@
+const moment = require('moment-timezone');
+
+// 締切がこの時刻以前なら翌日扱い（deadline は 20:00〜翌03:00 を許可）
+const NEXT_DAY_DEADLINE_LIMIT = '03:00';
+// 未報告者への再通知（締切がこの時刻以前で間に合わない場合だけ締切の30分前）
+const REMINDER_TIME = '23:00';
+const REMINDER_LEAD_MINUTES = 30;
+
+function isNextDayDeadline(deadline) {
+  return deadline <= NEXT_DAY_DEADLINE_LIMIT;
+}
+
+// 論理日 date（YYYY-MM-DD）の締切時刻
+function getDeadlineMoment(date, settings) {
+  const deadline = moment.tz(`${date} ${settings.deadline}`, 'YYYY-MM-DD HH:mm', settings.timezone);
+  return isNextDayDeadline(settings.deadline) ? deadline.add(1, 'day') : deadline;
+}
+
+// 現在時刻が属する論理日（前日の締切を過ぎてから当日の締切までが1日）
+function getLogicalDate(settings, now = moment()) {
+  const current = moment(now).tz(settings.timezone);
+  let date = current.clone().subtract(1, 'day').format('YYYY-MM-DD');
+  while (!current.isBefore(getDeadlineMoment(date, settings))) {
+    date = moment(date, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD');
+  }
+  return date;
+}
+
+// 論理日 date の再通知時刻
+function getReminderMoment(date, settings) {
+  const reminder = moment.tz(`${date} ${REMINDER_TIME}`, 'YYYY-MM-DD HH:mm', settings.timezone);
+  const deadline = getDeadlineMoment(date, settings);
+  return reminder.isBefore(deadline) ? reminder : deadline.subtract(REMINDER_LEAD_MINUTES, 'minutes');
+}
+
+// 設定・ヘルプに表示する再通知の時刻（hh:mm）と、23:00 から早めた場合はその理由
+function describeReminder(settings) {
+  const time = getReminderMoment(getLogicalDate(settings), settings).format('HH:mm');
+  return time === REMINDER_TIME ? time : `${time}（締切が${REMINDER_TIME}以前のため締切の${REMINDER_LEAD_MINUTES}分前）`;
+}
+
+module.exports = {
+  isNextDayDeadline,
+  getDeadlineMoment,
+  getLogicalDate,
+  getReminderMoment,
+  describeReminder
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const { WEEK_KEY_FORMAT } = require('./history');
+
+// KPI用のイベントログと集計（週次レビュー実施率・日次報告率・W1継続率）
+
+const EVENT_TYPES = {
+  FOLLOW: 'follow',
+  UNFOLLOW: 'unfollow',
+  AM_COMMIT: 'am_commit',
+  PM_REPORT: 'pm_report',
+  REVIEW_DELIVERED: 'review_delivered',
+  REVIEW_READ: 'review_read'
+};
+
+const REVIEW_ENGAGEMENT_TARGET = 0.65;
+// 配信からこの時間内に反応があれば週次レビューを読んだとみなす
+const REVIEW_READ_WINDOW_HOURS = 48;
+
+// W1: 登録7日後〜14日後の1週間にアクティブだったか
+const ACTIVE_TYPES = [EVENT_TYPES.AM_COMMIT, EVENT_TYPES.PM_REPORT, EVENT_TYPES.REVIEW_READ];
+
+function createEvent(type, userId, date, meta = {}) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    userId,
+    date,
+    at: new Date().toISOString(),
+    meta
+  };
+}
+
+function rate(numerator, denominator) {
+  return denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null;
+}
+
+// 登録週（ISO週）でコホートを決める。follow イベントがないユーザーは unknown
+function buildCohorts(events) {
+  const cohorts = new Map();
+  events
+    .filter(e => e.type === EVENT_TYPES.FOLLOW)
+    .sort((a, b) => a.at.localeCompare(b.at))
+    .forEach(e => {
+      if (!cohorts.has(e.userId)) {
+        cohorts.set(e.userId, { cohort: moment(e.date, 'YYYY-MM-DD').format(WEEK_KEY_FORMAT), followedAt: e.at, followDate: e.date });
+      }
+    });
+  return cohorts;
+}
+
+function emptyBucket() {
+  return {
+    reviewsDelivered: 0,
+    reviewsRead: 0,
+    amCommits: 0,
+    pmReports: 0,
+    cohortSize: 0,
+    retained: 0,
+    immature: 0
+  };
+}
+
+function toKpis(bucket) {
+  const engagement = rate(bucket.reviewsRead, bucket.reviewsDelivered);
+  return {
+    weeklyReviewEngagement: {
+      delivered: bucket.reviewsDelivered,
+      read: bucket.reviewsRead,
+      rate: engagement,
+      target: REVIEW_ENGAGEMENT_TARGET,
+      met: engagement !== null && engagement >= REVIEW_ENGAGEMENT_TARGET
+    },
+    dailyReportRate: {
+      amCommits: bucket.amCommits,
+      pmReports: bucket.pmReports,
+      rate: rate(bucket.pmReports, bucket.amCommits)
+    },
+    w1Retention: {
+      cohortSize: bucket.cohortSize,
+      retained: bucket.retained,
+      rate: rate(bucket.retained, bucket.cohortSize),
+      immature: bucket.immature
+    }
+  };
+}
+
+function uniqueBy(items, keyFn) {
+  const seen = new Map();
+  items.forEach(item => {
+    if (!seen.has(keyFn(item))) {
+      seen.set(keyFn(item), item);
+    }
+  });
+  return Array.from(seen.values());
+}
+
+// 期間 [from, to]（YYYY-MM-DD）のKPIを全体とコホート別に集計
+function computeKpis(events, { from, to, now = new Date() }) {
+  const cohorts = buildCohorts(events);
+  const total = emptyBucket();
+  const byCohort = new Map();
+  const bucketsFor = userId => {
+    const cohort = cohorts.has(userId) ? cohorts.get(userId).cohort : 'unknown';
+    if (!byCohort.has(cohort)) {
+      byCohort.set(cohort, emptyBucket());
+    }
+    return [total, byCohort.get(cohort)];
+  };
+  const inRange = e => e.date >= from && e.date <= to;
+  const keyOf = e => `${e.userId}:${e.type === EVENT_TYPES.REVIEW_READ || e.type === EVENT_TYPES.REVIEW_DELIVERED ? e.meta.week : e.date}`;
+
+  // 週次レビュー実施率: 配信したレビューのうち読まれたもの
+  const reads = new Set(events.filter(e => e.type === EVENT_TYPES.REVIEW_READ).map(keyOf));
+  uniqueBy(events.filter(e => e.type === EVENT_TYPES.REVIEW_DELIVERED && inRange(e)), keyOf).forEach(e => {
+    bucketsFor(e.userId).forEach(bucket => {
+      bucket.reviewsDelivered += 1;
+      if (reads.has(keyOf(e))) {
+        bucket.reviewsRead += 1;
+      }
+    });
+  });
+
+  // 日次報告率: amコミットした日のうちpm報告があった日
+  const pmDays = new Set(events.filter(e => e.type === EVENT_TYPES.PM_REPORT).map(keyOf));
+  uniqueBy(events.filter(e => e.type === EVENT_TYPES.AM_COMMIT && inRange(e)), keyOf).forEach(e => {
+    bucketsFor(e.userId).forEach(bucket => {
+      bucket.amCommits += 1;
+      if (pmDays.has(keyOf(e))) {
+        bucket.pmReports += 1;
+      }
+    });
+  });
+
+  // W1継続率: 期間内に登録したユーザーのうち、7〜14日後にアクティブだった割合
+  cohorts.forEach((info, userId) => {
+    if (info.followDate < from || info.followDate > to) {
+      return;
+    }
+    const windowStart = moment(info.followedAt).add(7, 'days');
+    const windowEnd = moment(info.followedAt).add(14, 'days');
+    bucketsFor(userId).forEach(bucket => {
+      if (windowEnd.isAfter(now)) {
+        bucket.immature += 1;
+        return;
+      }
+      bucket.cohortSize += 1;
+      const active = events.some(e =>
+        e.userId === userId &&
+        ACTIVE_TYPES.includes(e.type) &&
+        !moment(e.at).isBefore(windowStart) &&
+        moment(e.at).isBefore(windowEnd)
+      );
+      if (active) {
+        bucket.retained += 1;
+      }
+    });
+  });
+
+  return {
+    range: { from, to },
+    kpis: toKpis(total),
+    cohorts: Array.from(byCohort.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([cohort, bucket]) => ({ cohort, ...toKpis(bucket) }))
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  REVIEW_READ_WINDOW_HOURS,
+  createEvent,
+  computeKpis
+};
@@ -0,0 +1,233 @@
+// am/pm 報告の解析（全角記号・番号/記号/タスク名での指定・日本語の達成/未達表現に対応）
+
+const MAX_TASKS = 3;
+const TASK_LETTERS = ['A', 'B', 'C'];
+
+// ステータスの同義語（長いものから照合する）
+const STATUS_SYNONYMS = {
+  done: ['done', 'ok', 'yes', '完了', '済み', '済', '達成', 'できた', '出来た', 'やった', '終わった', '○', '◯', '〇', '✓', '✔', 'o'],
+  miss: ['miss', 'ng', 'no', '未達成', '未達', '未完了', 'できなかった', '出来なかった', 'やってない', '失敗', 'だめ', 'ダメ', '×', '✕', '✗', '✖', 'x'],
+  partial: ['partial', '一部', '途中', '半分', '△'],
+  carry: ['carry', '持ち越し', '持越し', '繰り越し', '繰越', '延期', '明日']
+};
+
+// 進捗の指定がない partial は50%として扱う
+const DEFAULT_PARTIAL_PROGRESS = 50;
+
+const STATUS_WORDS = Object.entries(STATUS_SYNONYMS)
+  .flatMap(([status, words]) => words.map(word => ({ status, word })))
+  .sort((a, b) => b.word.length - a.word.length);
+
+const ALL_DONE_PATTERN = /^(全部|全て|すべて|all)\s*(done|完了|達成|済み?|○|ok)$/i;
+
+const ESCAPED_STATUS_WORDS = STATUS_WORDS.map(({ word }) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+// 次のタスクの報告の始まり（"2=" "B:" "2 done" "B ×" など）
+const NEXT_REPORT_PATTERN = new RegExp(`^(?:[1-9]|[a-c])(?:\\s*[=:]|\\s+(?:${ESCAPED_STATUS_WORDS})(?![a-z]))`, 'i');
+
+function normalize(text) {
+  return text.normalize('NFKC').trim();
+}
+
+function normalizeName(text) {
+  return normalize(text).toLowerCase().replace(/\s+/g, '');
+}
+
+// "am:" / "pm:"（全角コロン・全角英字を含む）で始まるか判定
+function detectReportType(text) {
+  const match = normalize(text).match(/^(am|pm)\s*:/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function stripPrefix(text) {
+  return normalize(text).replace(/^(am|pm)\s*:\s*/i, '');
+}
+
+// 括弧内の区切り文字では分割しない
+function splitFragments(text) {
+  const fragments = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if ('(「'.includes(char)) {
+      depth += 1;
+    } else if (')」'.includes(char)) {
+      depth = Math.max(0, depth - 1);
+    }
+    if (depth === 0 && /[,、;\n]/.test(char)) {
+      fragments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fragments.push(current);
+  return fragments.map(f => f.trim()).filter(f => f);
+}
+
+// 朝コミット: "am: 英語、筋トレ，読書" → ['英語', '筋トレ', '読書']
+function parseMorningCommit(text) {
+  const tasks = splitFragments(stripPrefix(text)).map(t => t.replace(/^(\d+[.)]|[a-c][.)])\s*/i, '').trim()).filter(t => t);
+  if (tasks.length === 0 || tasks.length > MAX_TASKS) {
+    return { tasks, error: `タスクは1〜${MAX_TASKS}個で入力してください。` };
+  }
+  return { tasks, error: null };
+}
+
+function getTaskLetter(task) {
+  return TASK_LETTERS[parseInt(task.id, 10) - 1];
+}
+
+// 断片の先頭の "A" / "1" / タスク名（名前の一部でも可）からタスクを特定
+function resolveTask(ref, tasks) {
+  const key = normalizeName(ref.replace(/[=:.)\s]+$/, ''));
+  if (!key) {
+    return null;
+  }
+  if (/^[a-c]$/.test(key)) {
+    return tasks.find(t => getTaskLetter(t) === key.toUpperCase()) || null;
+  }
+  if (/^[1-9]$/.test(key)) {
+    return tasks.find(t => t.id === key) || null;
+  }
+  const exact = tasks.filter(t => normalizeName(t.name) === key);
+  if (exact.length === 1) {
+    return exact[0];
+  }
+  const partial = tasks.filter(t => normalizeName(t.name).includes(key));
+  return partial.length === 1 ? partial[0] : null;
+}
+
+// 各文字が括弧の中にあるか（"(" "「" の後から対応する閉じ括弧まで）
+function getParenDepths(text) {
+  const depths = [];
+  let depth = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    if ('(「'.includes(text[i])) {
+      depths.push(depth);
+      depth += 1;
+    } else if (')」'.includes(text[i])) {
+      depth = Math.max(0, depth - 1);
+      depths.push(depth + 1);
+    } else {
+      depths.push(depth);
+    }
+  }
+  return depths;
+}
+
+// ステータス語の出現位置を左から列挙（英字の語は前後が英字でないものに限る・括弧内の理由の中の語は除く）
+// タスク名に同義語が含まれていても、左側がタスクとして解決できる位置を採用する
+function findStatusCandidates(fragment) {
+  const lower = fragment.toLowerCase();
+  const depths = getParenDepths(lower);
+  const candidates = [];
+  STATUS_WORDS.forEach(({ status, word }) => {
+    let index = lower.indexOf(word);
+    while (index !== -1) {
+      const before = lower[index - 1] || '';
+      const after = lower[index + word.length] || '';
+      const isAscii = /^[a-z]+$/.test(word);
+      if (depths[index] === 0 && (!isAscii || (!/[a-z]/.test(before) && !/[a-z]/.test(after)))) {
+        candidates.push({ status, index, length: word.length });
+      }
+      index = lower.indexOf(word, index + 1);
+    }
+  });
+  // "60%" 単独でも partial として扱う
+  for (const match of lower.matchAll(/(\d{1,3})\s*%/g)) {
+    candidates.push({ status: 'partial', index: match.index, length: match[0].length, progress: parseInt(match[1], 10) });
+  }
+  return candidates.sort((a, b) => a.index - b.index || b.length - a.length);
+}
+
+function parseReason(rest) {
+  const text = rest.replace(/^[\s=:]+/, '').trim();
+  const paren = text.match(/^\((.*)\)$/) || text.match(/^「(.*)」$/);
+  const reason = paren ? paren[1].trim() : text;
+  return reason || null;
+}
+
+// partial は進捗（%）を読み取り、100%なら done、0%なら miss に寄せる
+// done には理由を付けない（ステータスの後に残った文字列は rest として返し、読み取れなかった部分として扱う）
+function buildResult(task, candidate, rest) {
+  let status = candidate.status;
+  let progress = null;
+  let remaining = rest;
+  if (status === 'partial') {
+    progress = candidate.progress;
+    if (progress === undefined) {
+      const match = rest.match(/^[\s=:]*\(?\s*(\d{1,3})\s*%?\s*\)?/);
+      progress = match ? parseInt(match[1], 10) : DEFAULT_PARTIAL_PROGRESS;
+      remaining = match ? rest.slice(match[0].length) : rest;
+    }
+    progress = Math.min(100, Math.max(0, progress));
+    status = progress >= 100 ? 'done' : progress <= 0 ? 'miss' : 'partial';
+  }
+
+  if (status === 'done') {
+    return { result: { taskId: task.id, status, progress: null, reason: null }, rest: remaining.replace(/^[\s=:]+/, '').trim() };
+  }
+  return {
+    result: { taskId: task.id, status, progress: status === 'partial' ? progress : null, reason: parseReason(remaining) },
+    rest: ''
+  };
+}
+
+// 1つの報告断片を解析（例: "B=miss(眠い)" "1 ○" "英語 完了" "C=partial(60%)" "A 持ち越し"）
+// 最も左のステータス語のうち、左側がIDかタスク名だけのものを採用する
+function parseReportFragment(fragment, tasks) {
+  for (const candidate of findStatusCandidates(fragment)) {
+    const task = resolveTask(fragment.slice(0, candidate.index), tasks);
+    if (task) {
+      return buildResult(task, candidate, fragment.slice(candidate.index + candidate.length));
+    }
+  }
+  return null;
+}
+
+// 区切り文字なしで続けた報告（"1=done 2=done"）を、括弧の外の空白のうち次の報告が始まる位置で分ける
+function splitReportTokens(fragment) {
+  const depths = getParenDepths(fragment);
+  const tokens = [];
+  let start = 0;
+  for (let i = 1; i < fragment.length; i += 1) {
+    if (depths[i] === 0 && /\s/.test(fragment[i - 1]) && NEXT_REPORT_PATTERN.test(fragment.slice(i))) {
+      tokens.push(fragment.slice(start, i).trim());
+      start = i;
+    }
+  }
+  tokens.push(fragment.slice(start).trim());
+  return tokens.filter(t => t);
+}
+
+// 夜レポート: 解析できた結果と、解析できなかった断片を返す
+function parseEveningReport(text, tasks) {
+  const body = stripPrefix(text);
+  if (ALL_DONE_PATTERN.test(body)) {
+    return { results: tasks.map(t => ({ taskId: t.id, status: 'done', progress: null, reason: null })), unparsed: [] };
+  }
+
+  const results = [];
+  const unparsed = [];
+  splitFragments(body).flatMap(splitReportTokens).forEach(fragment => {
+    const parsed = parseReportFragment(fragment, tasks);
+    if (!parsed) {
+      unparsed.push(fragment);
+      return;
+    }
+    results.push(parsed.result);
+    if (parsed.rest) {
+      unparsed.push(parsed.rest);
+    }
+  });
+  return { results, unparsed };
+}
+
+module.exports = {
+  MAX_TASKS,
+  DEFAULT_PARTIAL_PROGRESS,
+  detectReportType,
+  getTaskLetter,
+  parseMorningCommit,
+  parseEveningReport
+};
@@ -0,0 +1,122 @@
+// 危機ワード検知とセーフティモード（自動Mild化＋相談窓口の案内）
+const DEFAULT_COOLDOWN_HOURS = 72;
+
+const CRISIS_TERMS = [
+  '死にたい',
+  '死のう',
+  '消えたい',
+  'いなくなりたい',
+  '自殺',
+  '自死',
+  '生きていたくない',
+  '生きてる意味',
+  '生きている意味',
+  '生きる意味がない',
+  '首を吊',
+  '首吊',
+  '飛び降り',
+  'リスカ',
+  'リストカット',
+  'オーバードーズ',
+  'killmyself',
+  'suicide',
+  'wanttodie'
+];
+
+const SUPPORT_MESSAGE = `あなたのことが心配です。つらい気持ちを一人で抱えないでください。
+
+今すぐ話せる相談窓口があります：
+• #いのちSOS: 0120-061-338（無料）
+• よりそいホットライン: 0120-279-338（無料・24時間）
+• こころの健康相談統一ダイヤル: 0570-064-556
+• 日本いのちの電話: 0570-783-556
+
+命の危険が迫っているときは 119 または 110 に連絡してください。
+
+タスクのことは今は気にしなくて大丈夫です。しばらく厳しいリマインドは止めておきます。`;
+
+// 人格攻撃・罵倒とみなす表現（LLMの生成文の事後チェック用。行動や結果への指摘は対象外）
+// 「ばかり」「くずす」などの誤検知を避けるため、ひらがなだけの短い語は入れない
+const PERSONALITY_ATTACK_TERMS = [
+  'バカ',
+  '馬鹿',
+  'アホ',
+  'クズ',
+  'ゴミ人間',
+  '無能',
+  '能無し',
+  '役立たず',
+  'ダメ人間',
+  'だめ人間',
+  'ポンコツ',
+  '怠け者',
+  '負け犬',
+  '価値がない',
+  '価値のない',
+  '生きる価値',
+  '情けない人間',
+  '最低な人間',
+  '死ね',
+  '消えろ'
+];
+
+// 表記ゆれ（全角・空白・大文字）を吸収して比較する
+function normalize(text) {
+  return text.normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+}
+
+// 危機ワードを含む場合はその語を返す
+function detectCrisis(text) {
+  if (!text) {
+    return null;
+  }
+  const normalized = normalize(text);
+  return CRISIS_TERMS.find(term => normalized.includes(term)) || null;
+}
+
+function getCooldownHours() {
+  const hours = parseFloat(process.env.CRISIS_COOLDOWN_HOURS);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_COOLDOWN_HOURS;
+}
+
+function isSafetyModeActive(user, now = new Date()) {
+  return Boolean(user.safety && new Date(user.safety.until) > now);
+}
+
+// セーフティモードに入る（元のトーンを退避してMildに固定、期間は検知のたびに延長）
+function enterSafetyMode(user, now = new Date()) {
+  if (!isSafetyModeActive(user, now)) {
+    user.safety = { originalTone: user.settings.tone };
+  }
+  user.safety.until = new Date(now.getTime() + getCooldownHours() * 60 * 60 * 1000).toISOString();
+  user.settings.tone = 'mild';
+  return user;
+}
+
+// 期間が過ぎていれば元のトーンに戻す（戻した場合は true）
+function exitSafetyModeIfExpired(user, now = new Date()) {
+  if (!user.safety || isSafetyModeActive(user, now)) {
+    return false;
+  }
+  user.settings.tone = user.safety.originalTone || user.settings.tone;
+  delete user.safety;
+  return true;
+}
+
+// 人格攻撃・罵倒にあたる表現を含む場合はその語を返す
+function detectPersonalityAttack(text) {
+  if (!text) {
+    return null;
+  }
+  const normalized = normalize(text);
+  return PERSONALITY_ATTACK_TERMS.find(term => normalized.includes(normalize(term))) || null;
+}
+
+module.exports = {
+  SUPPORT_MESSAGE,
+  detectCrisis,
+  detectPersonalityAttack,
+  isSafetyModeActive,
+  enterSafetyMode,
+  exitSafetyModeIfExpired
+};
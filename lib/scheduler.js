@@ -0,0 +1,117 @@
+const moment = require('moment-timezone');
+const { getDeadlineMoment, getLogicalDate, getReminderMoment } = require('./logicalDay');
+
+// ユーザーごとの次回実行時刻（user.schedule）を持つ定期ジョブ
+// 実行のきっかけ（プロセス内の毎分tick・POST /cron/tick）が遅れても、期限を過ぎたジョブを1回だけ実行する
+
+// 同じtickで期限が来ていれば締切（論理日の切り替え）を先に処理する
+const JOB_TYPES = ['deadline', 'am', 'pm', 'reminder', 'weekly'];
+
+// 予定時刻からこの分数以上遅れた通知は送らずに次回へ回す（締切の処理は必ず行う）
+const CATCH_UP_MINUTES = {
+  deadline: Infinity,
+  am: 180,
+  pm: 120,
+  reminder: 60,
+  weekly: 720
+};
+
+// 同じtickで後のジョブも期限が来ていれば送らないもの（取りこぼした夜の通知は再通知にまとめる）
+const SUPERSEDED_BY = { pm: 'reminder' };
+
+// 実行時刻に関わる設定（変わったら次回時刻を計算し直す）
+const SCHEDULE_SETTINGS = ['amTime', 'pmTime', 'weeklyDay', 'weeklyTime', 'deadline', 'timezone'];
+
+// after より後で最初に time（HH:mm）になる時刻
+function nextDailyTime(time, timezone, after) {
+  const base = moment(after).tz(timezone);
+  const candidate = moment.tz(`${base.format('YYYY-MM-DD')} ${time}`, 'YYYY-MM-DD HH:mm', timezone);
+  return candidate.isAfter(after) ? candidate : moment.tz(`${base.clone().add(1, 'day').format('YYYY-MM-DD')} ${time}`, 'YYYY-MM-DD HH:mm', timezone);
+}
+
+function nextWeeklyTime(day, time, timezone, after) {
+  let candidate = nextDailyTime(time, timezone, after);
+  while (candidate.format('ddd') !== day) {
+    candidate = nextDailyTime(time, timezone, candidate);
+  }
+  return candidate;
+}
+
+// ジョブ type の after より後の次回実行時刻
+function getNextFireTime(type, settings, after) {
+  switch (type) {
+    case 'am':
+      return nextDailyTime(settings.amTime, settings.timezone, after);
+    case 'pm':
+      return nextDailyTime(settings.pmTime, settings.timezone, after);
+    case 'weekly':
+      return nextWeeklyTime(settings.weeklyDay, settings.weeklyTime, settings.timezone, after);
+    case 'deadline':
+      // 現在の論理日の締切は必ず after より後
+      return getDeadlineMoment(getLogicalDate(settings, after), settings);
+    case 'reminder': {
+      const date = getLogicalDate(settings, after);
+      const reminder = getReminderMoment(date, settings);
+      return reminder.isAfter(after)
+        ? reminder
+        : getReminderMoment(moment(date, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD'), settings);
+    }
+    default:
+      throw new Error(`Unknown job type: ${type}`);
+  }
+}
+
+function getScheduleBasis(settings) {
+  return SCHEDULE_SETTINGS.map(key => settings[key]).join('|');
+}
+
+// now 以降の次回実行時刻を並べた user.schedule（過去分は実行しない）
+// types はジョブの種類（グループは朝・夜・週次だけ）
+function createSchedule(settings, now, types = JOB_TYPES) {
+  const jobs = {};
+  types.forEach(type => {
+    jobs[type] = { nextAt: getNextFireTime(type, settings, now).toISOString(), lastFiredAt: null };
+  });
+  return { basis: getScheduleBasis(settings), jobs };
+}
+
+// 期限が来たジョブを取り出し、target.schedule を次回分に進める（呼び出し側は送信前に保存する）
+// target は settings と schedule を持つもの（ユーザー・グループ）
+// 戻り値: { changed（保存が必要か）, due: [{ type, scheduledAt, late }] }（late は取りこぼし許容時間を過ぎていて送らないもの）
+// 予定がない・設定が変わった場合は now から作り直し、その回は何も実行しない
+function claimDueJobs(target, now, types = JOB_TYPES) {
+  const schedule = target.schedule;
+  if (!schedule || schedule.basis !== getScheduleBasis(target.settings)) {
+    target.schedule = createSchedule(target.settings, now, types);
+    return { changed: true, due: [] };
+  }
+
+  const due = [];
+  types.forEach(type => {
+    const scheduledAt = moment(schedule.jobs[type].nextAt);
+    if (scheduledAt.isAfter(now)) {
+      return;
+    }
+    // 何回分遅れていても実行は1回にまとめる
+    schedule.jobs[type] = { nextAt: getNextFireTime(type, target.settings, now).toISOString(), lastFiredAt: moment(now).toISOString() };
+    due.push({
+      type,
+      scheduledAt,
+      late: moment(now).diff(scheduledAt, 'minutes', true) >= CATCH_UP_MINUTES[type]
+    });
+  });
+  due.forEach(job => {
+    if (due.some(other => other.type === SUPERSEDED_BY[job.type] && !other.late)) {
+      job.late = true;
+    }
+  });
+  return { changed: due.length > 0, due };
+}
+
+module.exports = {
+  JOB_TYPES,
+  CATCH_UP_MINUTES,
+  getNextFireTime,
+  createSchedule,
+  claimDueJobs
+};
@@ -0,0 +1,178 @@
+const moment = require('moment-timezone');
+const { isNextDayDeadline, describeReminder } = require('./logicalDay');
+
+// 設定コマンドの解析（/time /deadline /tz と設定メニューの入力で共通）
+// 例: "/time am 07:30 pm 21:30 weekly Sun 19:00 deadline 23:30 tz Asia/Tokyo"
+
+const WEEKDAYS = [
+  { value: 'Sun', label: '日', aliases: ['sun', 'sunday', '日', '日曜', '日曜日'] },
+  { value: 'Mon', label: '月', aliases: ['mon', 'monday', '月', '月曜', '月曜日'] },
+  { value: 'Tue', label: '火', aliases: ['tue', 'tues', 'tuesday', '火', '火曜', '火曜日'] },
+  { value: 'Wed', label: '水', aliases: ['wed', 'wednesday', '水', '水曜', '水曜日'] },
+  { value: 'Thu', label: '木', aliases: ['thu', 'thur', 'thurs', 'thursday', '木', '木曜', '木曜日'] },
+  { value: 'Fri', label: '金', aliases: ['fri', 'friday', '金', '金曜', '金曜日'] },
+  { value: 'Sat', label: '土', aliases: ['sat', 'saturday', '土', '土曜', '土曜日'] }
+];
+
+// コマンド名 → 先頭に補う設定キー
+const COMMAND_KEYS = {
+  '/time': null,
+  '/deadline': 'deadline',
+  '/tz': 'tz'
+};
+
+const KEYS = ['am', 'pm', 'weekly', 'deadline', 'tz'];
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+
+// "7:30" → "07:30"（不正な場合は null）
+function parseTime(text) {
+  const match = text && text.match(TIME_PATTERN);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+function parseWeekday(text) {
+  const normalized = (text || '').toLowerCase();
+  const weekday = WEEKDAYS.find(w => w.aliases.includes(normalized));
+  return weekday ? weekday.value : null;
+}
+
+function getWeekdayLabel(value) {
+  const weekday = WEEKDAYS.find(w => w.value === value);
+  return weekday ? `${weekday.label}曜` : value;
+}
+
+// IANAタイムゾーン名を正規の表記で返す（不正な場合は null）
+function parseTimezone(text) {
+  const zone = text && moment.tz.zone(text);
+  return zone ? zone.name : null;
+}
+
+// 締切は 20:00〜翌03:00 のみ許可
+function isValidDeadline(time) {
+  return time >= '20:00' || isNextDayDeadline(time);
+}
+
+function tokenize(text) {
+  return text
+    .normalize('NFKC')
+    .trim()
+    .split(/[\s,、]+/)
+    .filter(t => t);
+}
+
+// 設定文字列を解析し、変更内容とエラーを返す
+function parseSettings(text, defaultKey = null) {
+  const tokens = tokenize(text);
+  const changes = {};
+  const errors = [];
+
+  if (tokens[0] && tokens[0].startsWith('/')) {
+    const command = tokens.shift().toLowerCase();
+    if (!(command in COMMAND_KEYS)) {
+      return { changes, errors: [`未対応のコマンドです: ${command}`] };
+    }
+    defaultKey = COMMAND_KEYS[command];
+  }
+
+  if (defaultKey && !KEYS.includes((tokens[0] || '').toLowerCase())) {
+    tokens.unshift(defaultKey);
+  }
+
+  if (tokens.length === 0) {
+    return { changes, errors: ['設定する項目を指定してください。'] };
+  }
+
+  // 次のトークンが設定キーでなければ値として取り出す
+  const takeValue = () => (tokens[0] && !KEYS.includes(tokens[0].toLowerCase()) ? tokens.shift() : undefined);
+
+  while (tokens.length > 0) {
+    const key = tokens.shift().toLowerCase();
+
+    switch (key) {
+      case 'am':
+      case 'pm': {
+        const value = takeValue();
+        const time = parseTime(value);
+        if (!time) {
+          errors.push(`${key} の時刻が不正です: ${value || '(なし)'}（HH:MM、24時間表記）`);
+          break;
+        }
+        changes[key === 'am' ? 'amTime' : 'pmTime'] = time;
+        break;
+      }
+
+      case 'weekly': {
+        const weekday = parseWeekday(tokens[0]);
+        if (weekday) {
+          tokens.shift();
+          changes.weeklyDay = weekday;
+        }
+        const time = parseTime(tokens[0]);
+        if (time) {
+          tokens.shift();
+          changes.weeklyTime = time;
+        }
+        if (!weekday && !time) {
+          errors.push(`weekly の曜日・時刻が不正です: ${takeValue() || '(なし)'}（例: weekly Sun 19:00 / weekly 日 19:00）`);
+        }
+        break;
+      }
+
+      case 'deadline': {
+        const value = takeValue();
+        const time = parseTime(value);
+        if (!time) {
+          errors.push(`deadline の時刻が不正です: ${value || '(なし)'}（HH:MM、24時間表記）`);
+        } else if (!isValidDeadline(time)) {
+          errors.push(`deadline は 20:00〜翌03:00 の範囲で指定してください: ${time}`);
+        } else {
+          changes.deadline = time;
+        }
+        break;
+      }
+
+      case 'tz': {
+        const value = takeValue();
+        const timezone = parseTimezone(value);
+        if (!timezone) {
+          errors.push(`タイムゾーンが不正です: ${value || '(なし)'}（IANA形式、例: Asia/Tokyo）`);
+          break;
+        }
+        changes.timezone = timezone;
+        break;
+      }
+
+      default:
+        errors.push(`不明な項目です: ${key}`);
+    }
+  }
+
+  return { changes, errors };
+}
+
+// 設定後のスケジュール確認用テキスト
+function formatSchedule(settings) {
+  const deadline = isNextDayDeadline(settings.deadline) ? `翌${settings.deadline}` : settings.deadline;
+  return [
+    '現在のスケジュール:',
+    `• 朝: ${settings.amTime}`,
+    `• 夜: ${settings.pmTime}`,
+    `• 週次: ${getWeekdayLabel(settings.weeklyDay)} ${settings.weeklyTime}`,
+    `• 締切: ${deadline}`,
+    `• 未報告の再通知: ${describeReminder(settings)}`,
+    `• タイムゾーン: ${settings.timezone}`
+  ].join('\n');
+}
+
+const SETTINGS_USAGE = '使用例:\n/time am 07:30 pm 21:30 weekly Sun 19:00\n/deadline 23:30\n/tz Asia/Tokyo';
+
+module.exports = {
+  SETTINGS_USAGE,
+  parseTime,
+  parseWeekday,
+  parseTimezone,
+  isValidDeadline,
+  parseSettings,
+  formatSchedule
+};
@@ -0,0 +1,46 @@
+const moment = require('moment-timezone');
+
+// シミュレーター用の早送りできる時計（moment() の現在時刻をずらす）
+// new Date() を直接使う処理（危機ワード後のセーフティモード期間など）は早送りされない
+
+const MAX_ADVANCE_MINUTES = 14 * 24 * 60;
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+function createSimulatedClock() {
+  let offsetMs = 0;
+  moment.now = () => Date.now() + offsetMs;
+
+  return {
+    now: () => moment(),
+    getOffsetMinutes: () => Math.round(offsetMs / 60000),
+    // minutes 分進め、1分ごとに onTick(その分の時刻) を呼ぶ（スケジューラーの毎分チェック相当）
+    // 各分のPush送信などの非同期処理を終えてから次の分へ進む
+    async advance(minutes, onTick) {
+      const total = Math.min(Math.max(0, Math.floor(minutes)), MAX_ADVANCE_MINUTES);
+      for (let i = 0; i < total; i += 1) {
+        offsetMs += 60 * 1000;
+        await onTick(moment().startOf('minute'));
+        await nextTick();
+      }
+      return total;
+    }
+  };
+}
+
+// now の次の分から数えて、条件を満たす分までの分数（見つからなければ null）
+function minutesUntil(predicate, now = moment(), limit = MAX_ADVANCE_MINUTES) {
+  const time = moment(now).startOf('minute');
+  for (let minutes = 1; minutes <= limit; minutes += 1) {
+    if (predicate(time.add(1, 'minute'))) {
+      return minutes;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_ADVANCE_MINUTES,
+  createSimulatedClock,
+  minutesUntil
+};
@@ -0,0 +1,95 @@
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { minutesUntil } = require('./clock');
+
+// ローカルシミュレーターの画面とAPI（TRANSPORT=simulator のときだけ有効）
+// 画面から受け取った操作をLINEのwebhookイベントと同じ形にして handleEvent に渡す
+
+const EVENT_TYPES = ['message', 'postback', 'follow', 'unfollow'];
+
+function buildEvent(transport, { userId, type, text, data }) {
+  const event = {
+    type,
+    mode: 'active',
+    timestamp: Date.now(),
+    source: { type: 'user', userId },
+    webhookEventId: crypto.randomUUID(),
+    deliveryContext: { isRedelivery: false }
+  };
+  if (type !== 'unfollow') {
+    event.replyToken = transport.createReplyToken(userId);
+  }
+  if (type === 'message') {
+    event.message = { type: 'text', id: crypto.randomUUID(), text };
+  }
+  if (type === 'postback') {
+    event.postback = { data };
+  }
+  return event;
+}
+
+// 「次の朝/夜/週次」の時刻判定（ユーザーのタイムゾーンで比較）
+function getTargetPredicate(settings, target) {
+  const inZone = time => moment => moment.clone().tz(settings.timezone).format('HH:mm') === time;
+  switch (target) {
+    case 'am':
+      return inZone(settings.amTime);
+    case 'pm':
+      return inZone(settings.pmTime);
+    case 'weekly':
+      return time => inZone(settings.weeklyTime)(time) && time.clone().tz(settings.timezone).format('ddd') === settings.weeklyDay;
+    default:
+      return null;
+  }
+}
+
+function createSimulatorRouter({ transport, clock, repo, handleEvent, onTick }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'page.html'));
+  });
+
+  router.post('/events', (req, res) => {
+    const { userId, type, text, data } = req.body || {};
+    if (!userId || !EVENT_TYPES.includes(type) || (type === 'message' && !text) || (type === 'postback' && !data)) {
+      return res.status(400).json({ error: 'userId, type (message|postback|follow|unfollow) and text/data are required' });
+    }
+    handleEvent(buildEvent(transport, { userId, type, text, data }));
+    res.status(202).json({ ok: true });
+  });
+
+  router.get('/messages', (req, res) => {
+    const since = parseInt(req.query.since || '0', 10) || 0;
+    res.json({
+      now: clock.now().toISOString(),
+      offsetMinutes: clock.getOffsetMinutes(),
+      messages: req.query.userId ? transport.listMessages(req.query.userId, since) : []
+    });
+  });
+
+  // 時計の早送り（{ minutes } か、{ until: 'am'|'pm'|'weekly', userId } で次の通知時刻まで）
+  router.post('/clock', async (req, res) => {
+    const { minutes, until, userId } = req.body || {};
+    let total = parseInt(minutes, 10);
+    if (until) {
+      const user = repo.getUser(userId);
+      const predicate = user && getTargetPredicate(user.settings, until);
+      if (!predicate) {
+        return res.status(400).json({ error: 'until requires a known userId and one of am|pm|weekly' });
+      }
+      total = minutesUntil(predicate, clock.now());
+    }
+    if (!Number.isInteger(total) || total < 1) {
+      return res.status(400).json({ error: 'minutes must be a positive integer' });
+    }
+
+    const advanced = await clock.advance(total, onTick);
+    res.json({ now: clock.now().toISOString(), advanced, offsetMinutes: clock.getOffsetMinutes() });
+  });
+
+  return router;
+}
+
+module.exports = { createSimulatorRouter };
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSONファイルストア（コレクションごとに1ファイル、書き込みは一時ファイル経由で置き換え）
+function createFileStore(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const collections = new Map();
+
+  function filePath(name) {
+    return path.join(dataDir, `${name}.json`);
+  }
+
+  function load(name) {
+    const file = filePath(name);
+    if (!fs.existsSync(file)) {
+      return new Map();
+    }
+    try {
+      return new Map(Object.entries(JSON.parse(fs.readFileSync(file, 'utf8'))));
+    } catch (error) {
+      console.error('データファイル読み込みエラー:', file, error.message);
+      return new Map();
+    }
+  }
+
+  function persist(name, map) {
+    const file = filePath(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(map)));
+    fs.renameSync(tmp, file);
+  }
+
+  // Mapと同じインターフェースを持ち、変更のたびにファイルへ書き出す
+  function createCollection(name) {
+    const map = load(name);
+    const collection = {
+      get: key => map.get(key),
+      has: key => map.has(key),
+      set(key, value) {
+        map.set(key, value);
+        persist(name, map);
+        return collection;
+      },
+      delete(key) {
+        const deleted = map.delete(key);
+        if (deleted) {
+          persist(name, map);
+        }
+        return deleted;
+      },
+      clear() {
+        map.clear();
+        persist(name, map);
+      },
+      keys: () => map.keys(),
+      values: () => map.values(),
+      entries: () => map.entries(),
+      forEach: callback => map.forEach((value, key) => callback(value, key, collection)),
+      get size() {
+        return map.size;
+      },
+      [Symbol.iterator]: () => map.entries()
+    };
+    return collection;
+  }
+
+  return {
+    type: 'file',
+    dataDir,
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, createCollection(name));
+      }
+      return collections.get(name);
+    }
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,23 @@
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createRepository } = require('./repository');
+
+// STORAGE_BACKEND に応じてストアを生成（memory | file）
+function createStore(backend = process.env.STORAGE_BACKEND || 'memory') {
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore(process.env.DATA_DIR || path.join(process.cwd(), 'data'));
+    default:
+      throw new Error(`未対応のSTORAGE_BACKENDです: ${backend}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createRepository,
+  createMemoryStore,
+  createFileStore
+};
@@ -0,0 +1,16 @@
+// メモリ内ストア（ローカル実行用。再起動でデータは消える）
+function createMemoryStore() {
+  const collections = new Map();
+
+  return {
+    type: 'memory',
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new Map());
+      }
+      return collections.get(name);
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
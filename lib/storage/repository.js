@@ -0,0 +1,199 @@
+// リポジトリ層（ハンドラーはストアを直接触らずここを経由する）
+function createRepository(store) {
+  const users = store.collection('users');
+  const dailyTasks = store.collection('dailyTasks');
+  const goals = store.collection('goals');
+  const weeklyReports = store.collection('weeklyReports');
+  const userStates = store.collection('userStates');
+  const safetyEvents = store.collection('safetyEvents');
+  const events = store.collection('events');
+  const conversations = store.collection('conversations');
+  const webhookEvents = store.collection('webhookEvents');
+  const deadLetters = store.collection('deadLetters');
+  const groups = store.collection('groups');
+  const buddyInvites = store.collection('buddyInvites');
+
+  return {
+    store,
+
+    // ユーザー設定
+    getUser(userId) {
+      return users.get(userId) || null;
+    },
+    saveUser(user) {
+      users.set(user.id, user);
+      return user;
+    },
+    deleteUser(userId) {
+      users.delete(userId);
+    },
+    listUsers() {
+      return Array.from(users.values());
+    },
+    countUsers() {
+      return users.size;
+    },
+
+    // 日別のタスク履歴（キーは userId:YYYY-MM-DD）
+    getDay(userId, date) {
+      return dailyTasks.get(`${userId}:${date}`) || null;
+    },
+    saveDay(day) {
+      dailyTasks.set(`${day.userId}:${day.date}`, day);
+      return day;
+    },
+    listDays(userId, fromDate, toDate) {
+      return Array.from(dailyTasks.values())
+        .filter(day => day.userId === userId && day.date >= fromDate && day.date <= toDate)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+    listAllDays(userId) {
+      return Array.from(dailyTasks.values())
+        .filter(day => day.userId === userId)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    // 目標
+    getGoals(userId) {
+      return goals.get(userId) || [];
+    },
+    saveGoals(userId, goalList) {
+      goals.set(userId, goalList);
+      return goalList;
+    },
+
+    // 週次レビュー履歴
+    getWeeklyReport(userId, week) {
+      return weeklyReports.get(`${userId}:${week}`) || null;
+    },
+    saveWeeklyReport(userId, week, report) {
+      weeklyReports.set(`${userId}:${week}`, { userId, week, ...report });
+    },
+    listWeeklyReports(userId) {
+      return Array.from(weeklyReports.values())
+        .filter(report => report.userId === userId)
+        .sort((a, b) => a.week.localeCompare(b.week));
+    },
+
+    // 危機ワード検知の記録（運営確認用）
+    saveSafetyEvent(event) {
+      safetyEvents.set(`${event.userId}:${event.createdAt}`, event);
+      return event;
+    },
+    listSafetyEvents(userId = null) {
+      const list = Array.from(safetyEvents.values());
+      return userId ? list.filter(event => event.userId === userId) : list;
+    },
+
+    // KPI用イベントログ
+    recordEvent(event) {
+      events.set(event.id, event);
+      return event;
+    },
+    listEvents(userId = null) {
+      const list = Array.from(events.values());
+      return userId ? list.filter(event => event.userId === userId) : list;
+    },
+
+    // AIチャットの会話記憶
+    getConversation(userId) {
+      return conversations.get(userId) || null;
+    },
+    saveConversation(conversation) {
+      conversations.set(conversation.userId, conversation);
+      return conversation;
+    },
+    deleteConversation(userId) {
+      conversations.delete(userId);
+    },
+
+    // LINEのグループ・複数人トーク（キーは groupId / roomId。メンバーの記録は各自の dailyTasks にある）
+    getGroup(groupId) {
+      return groups.get(groupId) || null;
+    },
+    saveGroup(group) {
+      groups.set(group.id, group);
+      return group;
+    },
+    deleteGroup(groupId) {
+      groups.delete(groupId);
+    },
+    listGroups() {
+      return Array.from(groups.values());
+    },
+
+    // バディの招待コード（キーはコード。1ユーザー1件まで）
+    getBuddyInvite(code) {
+      return buddyInvites.get(code) || null;
+    },
+    saveBuddyInvite(invite) {
+      Array.from(buddyInvites.values())
+        .filter(other => other.userId === invite.userId)
+        .forEach(other => buddyInvites.delete(other.code));
+      buddyInvites.set(invite.code, invite);
+      return invite;
+    },
+    deleteBuddyInvite(code) {
+      buddyInvites.delete(code);
+    },
+
+    // 処理済みのwebhookイベント（再送の重複処理防止。キーは webhookEventId）
+    // 記録済みなら false を返す
+    claimWebhookEvent(eventId, record) {
+      if (webhookEvents.has(eventId)) {
+        return false;
+      }
+      webhookEvents.set(eventId, record);
+      return true;
+    },
+    pruneWebhookEvents(before) {
+      Array.from(webhookEvents.entries())
+        .filter(([, record]) => record.receivedAt < before)
+        .forEach(([eventId]) => webhookEvents.delete(eventId));
+    },
+
+    // 再試行しても送れなかったメッセージ（運営確認用）
+    saveDeadLetter(entry) {
+      deadLetters.set(entry.id, entry);
+      return entry;
+    },
+    listDeadLetters() {
+      return Array.from(deadLetters.values()).sort((a, b) => a.failedAt.localeCompare(b.failedAt));
+    },
+
+    // 会話状態
+    getState(userId) {
+      return userStates.get(userId) || 'normal';
+    },
+    setState(userId, state) {
+      userStates.set(userId, state);
+    },
+    clearState(userId) {
+      userStates.delete(userId);
+    },
+
+    // ユーザーに紐づく記録を全コレクションから削除（キーが userId / userId:〜 か、値の userId が一致するもの）
+    // keep に指定したコレクション（例: KPI用の events）は残す
+    purgeUser(userId, { keep = [] } = {}) {
+      const removed = {};
+      const all = { users, dailyTasks, goals, weeklyReports, userStates, safetyEvents, events, conversations, webhookEvents, deadLetters, buddyInvites };
+      Object.entries(all).filter(([name]) => !keep.includes(name)).forEach(([name, collection]) => {
+        const keys = Array.from(collection.entries())
+          .filter(([key, value]) => key === userId || key.startsWith(`${userId}:`) || (value && value.userId === userId))
+          .map(([key]) => key);
+        keys.forEach(key => collection.delete(key));
+        removed[name] = keys.length;
+      });
+      // グループ自体は残し、メンバー一覧から外す
+      const memberOf = Array.from(groups.values()).filter(group => group.members[userId]);
+      memberOf.forEach(group => {
+        delete group.members[userId];
+        groups.set(group.id, group);
+      });
+      removed.groupMemberships = memberOf.length;
+      return removed;
+    }
+  };
+}
+
+module.exports = { createRepository };
@@ -0,0 +1,115 @@
+const moment = require('moment-timezone');
+const { MAX_TASKS } = require('./reportParser');
+
+// 連続記録（全タスクを報告した日・全タスクを達成した日が何日続いているか）と、Do-S の段階
+// どちらも日別記録から毎回計算する（user に別の状態を持たない）
+
+// 締め処理で未報告のタスクに付く理由（この日は「報告した日」に数えない）
+const DEADLINE_REASON = '締切超過';
+
+// これより短い連続記録は途切れても知らせない
+const STREAK_BREAK_MIN_DAYS = 2;
+
+// Do-S の段階（前日までの未達の続いた日数で上がり、未達のない日が1日あれば通常に戻る）
+// maxTasks はその朝に宣言できるタスクの数
+const ESCALATION_STAGES = [
+  { missDays: 0, maxTasks: MAX_TASKS, label: '通常', message: null },
+  { missDays: 2, maxTasks: MAX_TASKS, label: '警告', message: days => `${days}日連続で未達がある。今日は宣言したものを全部終わらせろ。` },
+  { missDays: 3, maxTasks: 2, label: '2つまで', message: days => `${days}日連続で未達。今日は2つまでしか宣言させない。確実に終わるものを選べ。` },
+  { missDays: 4, maxTasks: 1, label: '1つだけ', message: days => `${days}日連続で未達。今日は1つだけだ。30分で終わる大きさに削って宣言しろ。大きいなら /split で割れ。` }
+];
+
+function isFullyReported(day) {
+  return day.tasks.length > 0 && day.tasks.every(t => t.status !== 'pending' && t.reason !== DEADLINE_REASON);
+}
+
+function isFullyCompleted(day) {
+  return day.tasks.length > 0 && day.tasks.every(t => t.status === 'done');
+}
+
+function hasMiss(day) {
+  return day.tasks.some(t => t.status === 'miss');
+}
+
+function previousDate(date) {
+  return moment(date, 'YYYY-MM-DD').subtract(1, 'day').format('YYYY-MM-DD');
+}
+
+// date から遡って test を満たす日が続く日数（記録のない日で止まる）
+function countBack(byDate, date, test) {
+  let count = 0;
+  for (let current = date; byDate.has(current) && test(byDate.get(current)); current = previousDate(current)) {
+    count += 1;
+  }
+  return count;
+}
+
+// current: 今日まで続いている日数（今日がまだ条件を満たしていなければ昨日まで）
+// best: これまでの最長
+// broken: 昨日で途切れた連続記録の日数（STREAK_BREAK_MIN_DAYS 未満なら 0）
+function getStreak(days, byDate, today, test) {
+  const yesterday = previousDate(today);
+  const current = countBack(byDate, today, test) || countBack(byDate, yesterday, test);
+  const brokenDays = countBack(byDate, yesterday, test) === 0 ? countBack(byDate, previousDate(yesterday), test) : 0;
+
+  let best = 0;
+  let run = 0;
+  let last = null;
+  days.forEach(day => {
+    run = test(day) ? (last === previousDate(day.date) ? run + 1 : 1) : 0;
+    last = test(day) ? day.date : null;
+    best = Math.max(best, run);
+  });
+
+  return { current, best, broken: brokenDays >= STREAK_BREAK_MIN_DAYS ? brokenDays : 0 };
+}
+
+// days は today までの日別記録（日付順でなくてもよい）
+function computeStreaks(days, today) {
+  const sorted = days.filter(day => day.date <= today).sort((a, b) => a.date.localeCompare(b.date));
+  const byDate = new Map(sorted.map(day => [day.date, day]));
+  return {
+    reported: getStreak(sorted, byDate, today, isFullyReported),
+    completed: getStreak(sorted, byDate, today, isFullyCompleted)
+  };
+}
+
+// today の朝の Do-S の段階（昨日から遡って未達のあった日を数える）
+function getEscalation(days, today) {
+  const byDate = new Map(days.map(day => [day.date, day]));
+  const missDays = countBack(byDate, previousDate(today), hasMiss);
+  const stage = ESCALATION_STAGES.reduce((found, candidate, index) => (missDays >= candidate.missDays ? index : found), 0);
+  const { maxTasks, label, message } = ESCALATION_STAGES[stage];
+  return { stage, missDays, maxTasks, label, message: message ? message(missDays) : null };
+}
+
+// 報告を受けたときの一言（今日を報告し終えていれば連続日数）
+function formatStreakLine(streaks) {
+  const { reported, completed } = streaks;
+  if (reported.current === 0) {
+    return '';
+  }
+  return `🔥 報告 ${reported.current}日連続${completed.current > 0 ? `・全達成 ${completed.current}日連続` : ''}`;
+}
+
+// /stats と週次レビュー用（escalation は Do-S のときだけ渡す）
+function formatStreakSummary(streaks, escalation = null) {
+  const lines = [
+    `• 報告の連続: ${streaks.reported.current}日（最長 ${streaks.reported.best}日）`,
+    `• 全達成の連続: ${streaks.completed.current}日（最長 ${streaks.completed.best}日）`
+  ];
+  if (escalation) {
+    lines.push(`• Do-Sの段階: ${escalation.stage}/${ESCALATION_STAGES.length - 1}（${escalation.label}${escalation.missDays > 0 ? `・未達${escalation.missDays}日連続` : ''}）`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEADLINE_REASON,
+  ESCALATION_STAGES,
+  isFullyReported,
+  computeStreaks,
+  getEscalation,
+  formatStreakLine,
+  formatStreakSummary
+};
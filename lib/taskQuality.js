@@ -0,0 +1,207 @@
+const { validateSchema, parseJson } = require('./jsonSchema');
+const { MAX_TASKS } = require('./reportParser');
+
+// タスクの具体性チェック（動詞・成果物/量・1日で終わる大きさ）と /split の分解
+
+// 「頑張る」「やる」だけでは何をするか分からない
+const VAGUE_VERBS = /(を)?(頑張る|がんばる|頑張ります|がんばります|やる|やります|進める|取り組む|意識する|努力する)$/;
+// 動詞の終止形・「〜する」で終わる
+const VERB_ENDING = /([うくぐすつぬぶむる]|する|します)$/;
+const ACTION_NOUNS = /作成|提出|実装|修正|送信|返信|予約|申請|申し込み|購入|復習|練習|確認|連絡|電話|掃除|読了|清書|記入|登録|解約|支払/;
+const ENGLISH_VERBS = /^(write|read|send|fix|call|finish|review|submit|build|draft|book|buy|run|clean)\b/i;
+
+// 数量（30分・10ページ・3問 など）
+const QUANTITY = /\d+\s*(分|時間|ページ|p|問|個|件|回|本|枚|章|行|語|単語|文字|km|キロ|セット|周|冊|つ|項目)/i;
+const DELIVERABLE_NOUNS = /資料|スライド|企画書|レポート|報告書|提案書|見積|請求書|メール|記事|ブログ|議事録|プレゼン|原稿|README|PR|テスト|申込書|履歴書|日報/i;
+// 対象として曖昧すぎる語（「仕事を頑張る」の「仕事」など）
+const GENERIC_NOUNS = /^(勉強|仕事|作業|色々|いろいろ|全部|家事|運動|タスク|やること|用事|英語|筋トレ|読書)$/;
+
+// 1日で終わらない大きさ
+const TOO_BIG = /全部|全て|すべて|完成させる|マスター|習得|一通り|全章|全巻|完璧/;
+const MAX_HOURS = 8;
+
+const ISSUE_LABELS = {
+  action: '何をするか（動詞）がない',
+  deliverable: '成果物や量がない',
+  size: '1日で終わる大きさではない'
+};
+
+// 分野ごとの書き換え例と分解の手順（上から順に照合）
+const DOMAIN_RULES = [
+  {
+    pattern: /英語|英単語|単語|toeic|toefl|英会話/i,
+    rewrite: () => '英単語を30個覚える',
+    steps: () => ['今日覚える英単語を30個選ぶ', '英単語30個を声に出して覚える', '覚えた30個を小テストする']
+  },
+  {
+    pattern: /資料|スライド|企画書|レポート|報告書|提案書|プレゼン|原稿/,
+    rewrite: core => `${core}の構成を見出し5つで書く`,
+    steps: core => [`${core}の見出しを5つ書き出す`, `${core}の最初の見出しの本文を書く`, `${core}を見直して送る`]
+  },
+  {
+    pattern: /メール|返信|連絡/,
+    rewrite: () => '未返信のメールを5件返信する',
+    steps: () => ['未返信のメールを一覧にする', '急ぎのメールを5件返信する', '残りのメールに返信の期限を書く']
+  },
+  {
+    pattern: /ブログ|記事|note|執筆/i,
+    rewrite: () => '記事の見出しを3つ書く',
+    steps: () => ['記事のテーマと読者を1行で書く', '記事の見出しを3つ書く', '最初の見出しの本文を300文字書く']
+  },
+  {
+    pattern: /勉強|試験|資格|宿題|受験|問題集/,
+    rewrite: () => '問題集を10問解く',
+    steps: () => ['今日やる範囲を1章に決める', '問題集を10問解く', '間違えた問題を解き直す']
+  },
+  {
+    pattern: /筋トレ|運動|ジム|ランニング|ダイエット|ストレッチ/,
+    rewrite: () => 'スクワットを30回やる',
+    steps: () => ['運動できる服に着替える', 'スクワットを30回やる', 'ストレッチを5分やる']
+  },
+  {
+    pattern: /読書|本/,
+    rewrite: () => '本を20ページ読む',
+    steps: () => ['読む本と範囲（20ページ）を決める', '本を20ページ読む', '要点を3行メモする']
+  },
+  {
+    pattern: /掃除|片付け|片づけ|整理/,
+    rewrite: () => '机の上を15分片付ける',
+    steps: () => ['片付ける場所を1か所決める', 'タイマー15分で片付ける', '捨てる物を袋にまとめる']
+  },
+  {
+    pattern: /仕事|業務|作業/,
+    rewrite: () => '最優先の案件の作業を60分やる',
+    steps: () => ['今日の最優先の案件を1つ決める', '最優先の案件の作業を60分やる', '進み具合を1行で報告する']
+  }
+];
+
+const DEFAULT_RULE = {
+  rewrite: core => `${core}を30分やって結果を1行メモする`,
+  steps: core => [`${core}の手順を3つ書き出す`, `${core}の最初の手順を30分やる`, `${core}の結果を1行メモする`]
+};
+
+function normalize(name) {
+  return name.normalize('NFKC').trim();
+}
+
+// 対象の部分（「英語を頑張る」→「英語」、「企画書を全部完成させる」→「企画書」）
+function getCore(name) {
+  const core = name.includes('を') ? name.split('を')[0] : name.replace(VAGUE_VERBS, '');
+  return core.replace(TOO_BIG, '').trim() || name;
+}
+
+function hasAction(name) {
+  if (VAGUE_VERBS.test(name)) {
+    return false;
+  }
+  return VERB_ENDING.test(name) || ACTION_NOUNS.test(name) || ENGLISH_VERBS.test(name);
+}
+
+function hasDeliverable(name) {
+  if (QUANTITY.test(name) || DELIVERABLE_NOUNS.test(name) || /「.+」/.test(name)) {
+    return true;
+  }
+  // 「〇〇を△△する」の〇〇が具体的なもの
+  const object = name.split('を')[0];
+  return name.includes('を') && !GENERIC_NOUNS.test(object);
+}
+
+function fitsOneDay(name) {
+  const hours = name.match(/(\d+)\s*時間/);
+  return !TOO_BIG.test(name) && !(hours && parseInt(hours[1], 10) > MAX_HOURS);
+}
+
+function findRule(name) {
+  return DOMAIN_RULES.find(rule => rule.pattern.test(name)) || DEFAULT_RULE;
+}
+
+// 具体性の採点（0〜3）。大きすぎる・2未満・動詞も量もないものは曖昧とみなし、書き換え案を添える
+function scoreTask(task) {
+  const name = normalize(task);
+  const checks = {
+    action: hasAction(name),
+    deliverable: hasDeliverable(name),
+    size: fitsOneDay(name)
+  };
+  const score = Object.values(checks).filter(Boolean).length;
+  const vague = !checks.size || score < 2 || (!checks.action && !QUANTITY.test(name));
+  return {
+    name: task,
+    score,
+    checks,
+    vague,
+    issues: Object.keys(checks).filter(key => !checks[key]).map(key => ISSUE_LABELS[key]),
+    suggestion: vague ? findRule(name).rewrite(getCore(name)) : null
+  };
+}
+
+function findVagueTasks(tasks) {
+  return tasks.map(scoreTask).filter(result => result.vague);
+}
+
+// am: の区切り文字（, 、 ; 改行）はステップ名に含めない
+function sanitizeStep(step) {
+  return step.replace(/[,、，;\n]+/g, ' ').trim();
+}
+
+function splitTaskByRules(task) {
+  const name = normalize(task);
+  return findRule(name).steps(getCore(name)).map(sanitizeStep).slice(0, MAX_TASKS);
+}
+
+const SPLIT_SCHEMA = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    steps: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_TASKS,
+      items: { type: 'string', minLength: 1, maxLength: 40 }
+    }
+  }
+};
+
+// LLMで分解し、スキーマ違反や曖昧なステップが混じる場合は null
+async function splitTaskWithLLM(llm, task) {
+  const content = await llm.complete({
+    messages: [{
+      role: 'user',
+      content: `次のタスクを、今日中に終わる具体的なステップ（最大${MAX_TASKS}つ）に分解してください。
+各ステップは「何を・どれだけ・どうする」が分かる40文字以内の日本語にし、読点やカンマを使わないでください。
+JSONのみで {"steps": ["ステップ1", "ステップ2", "ステップ3"]} の形式で答えてください。
+
+タスク: ${task}`
+    }],
+    maxTokens: 200,
+    temperature: 0.3
+  });
+
+  const result = parseJson(content);
+  if (!result || validateSchema(result, SPLIT_SCHEMA).length > 0) {
+    return null;
+  }
+  const steps = result.steps.map(sanitizeStep).filter(step => step);
+  return steps.length > 0 && steps.every(step => !scoreTask(step).vague) ? steps : null;
+}
+
+// /split の分解（llm があれば先に試し、使えなければルールで分解）
+async function splitTask(task, llm = null) {
+  if (llm) {
+    try {
+      const steps = await splitTaskWithLLM(llm, task);
+      if (steps) {
+        return { steps, source: 'llm' };
+      }
+    } catch (error) {
+      console.error('タスク分解のLLM呼び出しエラー:', error.code || '', error.message);
+    }
+  }
+  return { steps: splitTaskByRules(task), source: 'rules' };
+}
+
+module.exports = {
+  scoreTask,
+  findVagueTasks,
+  splitTask
+};
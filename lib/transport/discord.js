@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const express = require('express');
+const { flattenMessages, encodeAction, decodeAction, toCommandText } = require('./flatten');
+const { createReplyTokenStore } = require('./replyTokens');
+
+// Discord（Interactions のスラッシュコマンドとボタン）
+// 受け取った内容はLINEのwebhookイベントと同じ形にして handleEvent に渡す。userId は "discord:<ユーザーID>"
+
+const DISCORD_API_BASE = 'https://discord.com/api/v10';
+// interaction token は15分有効
+const REPLY_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+const INTERACTION_TYPES = { PING: 1, APPLICATION_COMMAND: 2, MESSAGE_COMPONENT: 3 };
+const RESPONSE_TYPES = { PONG: 1, DEFERRED_CHANNEL_MESSAGE: 5 };
+// サーバー（ギルド）内では本人にだけ見える返信にする
+const EPHEMERAL_FLAG = 64;
+
+const MAX_CONTENT_LENGTH = 2000;
+const MAX_ROWS = 5;
+const MAX_BUTTONS_PER_ROW = 5;
+const MAX_BUTTON_LABEL_LENGTH = 80;
+const MAX_CUSTOM_ID_LENGTH = 100;
+const BUTTON_STYLES = { postback: 1, message: 2, uri: 5 };
+
+// Ed25519 の公開鍵（16進）を KeyObject にする（SPKI の DER ヘッダーを付ける）
+function toPublicKey(hex) {
+  return crypto.createPublicKey({
+    key: Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), Buffer.from(hex, 'hex')]),
+    format: 'der',
+    type: 'spki'
+  });
+}
+
+// X-Signature-Ed25519: Ed25519(timestamp + body)
+function verifyDiscordRequest(headers, rawBody, publicKeyHex) {
+  const signature = headers['x-signature-ed25519'];
+  const timestamp = headers['x-signature-timestamp'];
+  if (!signature || !timestamp || !rawBody) {
+    return false;
+  }
+  try {
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), Buffer.from(rawBody)]), toPublicKey(publicKeyHex), Buffer.from(signature, 'hex'));
+  } catch (error) {
+    return false;
+  }
+}
+
+function getUserId(interaction) {
+  return (interaction.member && interaction.member.user ? interaction.member.user : interaction.user).id;
+}
+
+// interaction → { response（HTTPで即答する内容）, events }
+function parseInteraction(interaction, issueReplyToken, commandName) {
+  if (interaction.type === INTERACTION_TYPES.PING) {
+    return { response: { type: RESPONSE_TYPES.PONG }, events: [] };
+  }
+
+  let fields = null;
+  if (interaction.type === INTERACTION_TYPES.APPLICATION_COMMAND && interaction.data.name === commandName) {
+    const option = (interaction.data.options || []).find(o => o.name === 'text');
+    fields = { type: 'message', message: { type: 'text', id: interaction.id, text: toCommandText(option && option.value) } };
+  } else if (interaction.type === INTERACTION_TYPES.MESSAGE_COMPONENT) {
+    fields = decodeAction(interaction.data.custom_id);
+    if (fields && fields.type === 'message') {
+      fields.message.id = interaction.id;
+    }
+  }
+  if (!fields) {
+    return { response: null, events: [] };
+  }
+
+  // 3秒以内に応答する必要があるので「考え中」で受け、返信は後から元のメッセージを書き換える
+  return {
+    response: { type: RESPONSE_TYPES.DEFERRED_CHANNEL_MESSAGE, data: interaction.guild_id ? { flags: EPHEMERAL_FLAG } : {} },
+    events: [{
+      mode: 'active',
+      timestamp: Date.now(),
+      source: { type: 'user', userId: `discord:${getUserId(interaction)}` },
+      replyToken: issueReplyToken({ interactionToken: interaction.token }),
+      webhookEventId: interaction.id,
+      deliveryContext: { isRedelivery: false },
+      ...fields
+    }]
+  };
+}
+
+function toDiscordButton(action) {
+  const button = { type: 2, style: BUTTON_STYLES[action.kind], label: action.label.slice(0, MAX_BUTTON_LABEL_LENGTH) };
+  if (action.kind === 'uri') {
+    button.url = action.value;
+  } else {
+    button.custom_id = encodeAction(action);
+  }
+  return button;
+}
+
+// LINE形式のメッセージ配列 → Discord の { content, components }
+// custom_id が100文字を超えるボタン（長いタスク名を入れた am: など）は付けない
+function toDiscordMessage(messages) {
+  const lines = [];
+  const rows = [];
+  flattenMessages(messages).forEach(part => {
+    if (part.kind === 'text') {
+      lines.push(part.text);
+    } else if (part.kind === 'divider') {
+      lines.push('');
+    } else {
+      // ボタンの並び（タスク1件分・Quick Reply など）ごとに行を分ける
+      const buttons = part.actions.map(toDiscordButton).filter(b => !b.custom_id || b.custom_id.length <= MAX_CUSTOM_ID_LENGTH);
+      for (let i = 0; i < buttons.length; i += MAX_BUTTONS_PER_ROW) {
+        rows.push({ type: 1, components: buttons.slice(i, i + MAX_BUTTONS_PER_ROW) });
+      }
+    }
+  });
+
+  const components = rows.slice(0, MAX_ROWS);
+  const content = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return {
+    content: content.length > MAX_CONTENT_LENGTH ? `${content.slice(0, MAX_CONTENT_LENGTH - 1)}…` : content,
+    components
+  };
+}
+
+function createDiscordTransport({ applicationId, publicKey, botToken, commandName }) {
+  const replyTokens = createReplyTokenStore('discord', REPLY_TOKEN_TTL_MS);
+  const dmChannels = new Map();
+
+  async function callApi(method, path, body, useBotToken = true) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (useBotToken) {
+      headers.Authorization = `Bot ${botToken}`;
+    }
+    const response = await fetch(`${DISCORD_API_BASE}${path}`, { method, headers, body: JSON.stringify(body) });
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      body: response.ok ? await response.json() : await response.text()
+    };
+  }
+
+  // DMチャンネルを開く（ユーザーごとに1度だけ）
+  async function openDmChannel(userId) {
+    if (!dmChannels.has(userId)) {
+      const result = await callApi('POST', '/users/@me/channels', { recipient_id: userId });
+      if (!result.ok) {
+        return null;
+      }
+      dmChannels.set(userId, result.body.id);
+    }
+    return dmChannels.get(userId);
+  }
+
+  function createRouter({ handleEvent }) {
+    const router = express.Router();
+
+    router.post('/interactions', (req, res) => {
+      if (!verifyDiscordRequest(req.headers, req.rawBody, publicKey)) {
+        console.log('Discordの署名検証に失敗しました');
+        return res.status(401).send('Invalid request signature');
+      }
+      const { response, events } = parseInteraction(req.body, target => replyTokens.issue(target), commandName);
+      if (!response) {
+        return res.status(400).json({ error: 'Unsupported interaction' });
+      }
+      res.status(200).json(response);
+      setImmediate(() => events.forEach(event => handleEvent(event)));
+    });
+
+    return router;
+  }
+
+  return {
+    name: 'discord',
+    prefix: 'discord',
+    path: '/discord',
+    configured: Boolean(botToken),
+    createRouter,
+    // 「考え中」で受けた元のメッセージを返信内容に書き換える（webhook はボットのトークン不要）
+    reply(replyToken, messages) {
+      const target = replyTokens.take(replyToken);
+      if (!target) {
+        return Promise.resolve({ ok: false, status: 400, statusText: 'Invalid reply token', body: null });
+      }
+      return callApi('PATCH', `/webhooks/${applicationId}/${target.interactionToken}/messages/@original`, toDiscordMessage(messages), false);
+    },
+    async push(userId, messages) {
+      const channelId = await openDmChannel(userId.replace(/^discord:/, ''));
+      if (!channelId) {
+        return { ok: false, status: 400, statusText: 'Cannot open DM channel', body: null };
+      }
+      return callApi('POST', `/channels/${channelId}/messages`, toDiscordMessage(messages));
+    }
+  };
+}
+
+module.exports = {
+  verifyDiscordRequest,
+  parseInteraction,
+  toDiscordMessage,
+  createDiscordTransport
+};
@@ -0,0 +1,134 @@
+// LINE形式のメッセージ（テキスト・Flex・Quick Reply）を、Slack/Discord 向けに
+// 「テキスト」「ボタンの並び」「区切り線」の列に平たくする。ボタンとスラッシュコマンドの変換もここで行う
+
+// ボタンの動作（postback はデータを、message は送信するテキストを value に持つ）
+function toAction(action) {
+  switch (action.type) {
+    case 'postback':
+      return { label: action.label, kind: 'postback', value: action.data, displayText: action.displayText || null };
+    case 'message':
+      return { label: action.label, kind: 'message', value: action.text };
+    case 'uri':
+      return { label: action.label, kind: 'uri', value: action.uri };
+    default:
+      return null;
+  }
+}
+
+function pushText(parts, text) {
+  if (!text) {
+    return;
+  }
+  const last = parts[parts.length - 1];
+  if (last && last.kind === 'text') {
+    last.text += `\n${text}`;
+  } else {
+    parts.push({ kind: 'text', text });
+  }
+}
+
+function pushAction(parts, action) {
+  if (!action) {
+    return;
+  }
+  const last = parts[parts.length - 1];
+  if (last && last.kind === 'actions') {
+    last.actions.push(action);
+  } else {
+    parts.push({ kind: 'actions', actions: [action] });
+  }
+}
+
+function hasButton(node) {
+  return node.type === 'button' || (node.type === 'box' && node.contents.some(hasButton));
+}
+
+// 横並びのボックスは1行にまとめる（曜日ストリップの「月✅2/3 火🔶1/3 …」など）
+function inlineText(node) {
+  if (node.type === 'text') {
+    return node.text;
+  }
+  if (node.type !== 'box') {
+    return '';
+  }
+  return node.contents.map(inlineText).filter(text => text).join(node.layout === 'horizontal' ? ' ' : '');
+}
+
+function flattenFlexNode(node, parts) {
+  switch (node.type) {
+    case 'text':
+      pushText(parts, node.text);
+      break;
+    case 'separator':
+      parts.push({ kind: 'divider' });
+      break;
+    case 'button':
+      pushAction(parts, toAction(node.action));
+      break;
+    case 'box':
+      if (node.layout === 'horizontal' && !hasButton(node)) {
+        pushText(parts, inlineText(node));
+      } else {
+        node.contents.forEach(child => flattenFlexNode(child, parts));
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+// messages はLINEのメッセージ配列。Quick Reply は最後にボタンの並びとして付ける
+function flattenMessages(messages) {
+  const parts = [];
+  messages.forEach((message, i) => {
+    if (i > 0) {
+      parts.push({ kind: 'divider' });
+    }
+    if (message.type === 'text') {
+      pushText(parts, message.text);
+    } else if (message.type === 'flex') {
+      ['header', 'body', 'footer']
+        .filter(key => message.contents[key])
+        .forEach(key => flattenFlexNode(message.contents[key], parts));
+    } else {
+      pushText(parts, message.altText || `[${message.type}]`);
+    }
+  });
+
+  const quickReply = messages.length > 0 && messages[messages.length - 1].quickReply;
+  if (quickReply) {
+    parts.push({ kind: 'actions', actions: quickReply.items.map(item => toAction(item.action)).filter(action => action) });
+  }
+  return parts;
+}
+
+// ボタンの値（postback は "pb:<data>"、message は "msg:<text>"）と、押されたときのイベント内容
+function encodeAction(action) {
+  return `${action.kind === 'postback' ? 'pb' : 'msg'}:${action.value}`;
+}
+
+function decodeAction(value) {
+  const match = (value || '').match(/^(pb|msg):([\s\S]*)$/);
+  if (!match) {
+    return null;
+  }
+  return match[1] === 'pb'
+    ? { type: 'postback', postback: { data: match[2] } }
+    : { type: 'message', message: { type: 'text', text: match[2] } };
+}
+
+// スラッシュコマンドの引数をボットへのテキストにする（"/terakoya tone dos" → "/tone dos"、am:/pm: はそのまま）
+function toCommandText(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) {
+    return '/help';
+  }
+  return /^(am|pm)\s*[:：]/i.test(trimmed) || trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+module.exports = {
+  flattenMessages,
+  encodeAction,
+  decodeAction,
+  toCommandText
+};
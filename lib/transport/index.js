@@ -0,0 +1,55 @@
+const { createLineTransport } = require('./line');
+const { createSimulatorTransport } = require('./simulator');
+const { createSlackTransport } = require('./slack');
+const { createDiscordTransport } = require('./discord');
+
+// 有効な送信先の一覧（先頭が接頭辞なしのuserIdの送信先）
+// TRANSPORT=simulator のときはシミュレーターだけ。line のときはLINEに加え、設定があれば Slack・Discord も有効にする
+function createTransports(env = process.env) {
+  const name = env.TRANSPORT || 'line';
+  if (name === 'simulator') {
+    return [createSimulatorTransport()];
+  }
+  if (name !== 'line') {
+    throw new Error(`未対応のTRANSPORTです: ${name}`);
+  }
+
+  const transports = [createLineTransport({
+    accessToken: env.LINE_CHANNEL_ACCESS_TOKEN,
+    channelSecret: env.LINE_CHANNEL_SECRET
+  })];
+  if (env.SLACK_BOT_TOKEN && env.SLACK_SIGNING_SECRET) {
+    transports.push(createSlackTransport({
+      botToken: env.SLACK_BOT_TOKEN,
+      signingSecret: env.SLACK_SIGNING_SECRET
+    }));
+  }
+  if (env.DISCORD_APPLICATION_ID && env.DISCORD_PUBLIC_KEY && env.DISCORD_BOT_TOKEN) {
+    transports.push(createDiscordTransport({
+      applicationId: env.DISCORD_APPLICATION_ID,
+      publicKey: env.DISCORD_PUBLIC_KEY,
+      botToken: env.DISCORD_BOT_TOKEN,
+      commandName: env.DISCORD_COMMAND || 'terakoya'
+    }));
+  }
+  return transports;
+}
+
+// userId・replyToken の接頭辞（"slack:" "discord:"）で送信先を選ぶ。接頭辞がなければ先頭の送信先
+// 接頭辞に対応する送信先が無効な場合は null
+function selectTransport(transports, id) {
+  const match = String(id).match(/^([a-z]+):/);
+  if (!match) {
+    return transports[0];
+  }
+  return transports.find(transport => transport.prefix === match[1]) || null;
+}
+
+module.exports = {
+  createTransports,
+  selectTransport,
+  createLineTransport,
+  createSimulatorTransport,
+  createSlackTransport,
+  createDiscordTransport
+};
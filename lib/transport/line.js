@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const express = require('express');
+const { parseRetryAfter } = require('../delivery');
+
+// LINE Messaging API（webhookの受信と reply / push の送信）
+
+const LINE_API_BASE = 'https://api.line.me/v2/bot/message';
+const LINE_BOT_API_BASE = 'https://api.line.me/v2/bot';
+
+// 署名検証関数
+function verifySignature(signature, body, secret) {
+  const hash = crypto
+    .createHmac('sha256', secret)
+    .update(body)
+    .digest('base64');
+  
+  return signature === hash;
+}
+
+function createLineTransport({ accessToken, channelSecret }) {
+  // retryKey を付けると、再試行で同じPushが二重に届かない（受付済みなら409が返る）
+  async function post(path, body, retryKey = null) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${accessToken}`
+    };
+    if (retryKey) {
+      headers['X-Line-Retry-Key'] = retryKey;
+    }
+    const response = await fetch(`${LINE_API_BASE}/${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+    const accepted = retryKey && response.status === 409;
+    return {
+      ok: response.ok || Boolean(accepted),
+      status: response.status,
+      statusText: accepted ? 'Already accepted' : response.statusText,
+      body: response.ok ? await response.json() : await response.text(),
+      retryAfterMs: parseRetryAfter(response.headers && response.headers.get('retry-after'))
+    };
+  }
+
+  // グループ・複数人トークのメンバーのプロフィール（表示名）。取れなければ null
+  async function getMemberProfile(source) {
+    const path = source.groupId
+      ? `group/${source.groupId}/member/${source.userId}`
+      : `room/${source.roomId}/member/${source.userId}`;
+    try {
+      const response = await fetch(`${LINE_BOT_API_BASE}/${path}`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+      });
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.error('メンバーのプロフィール取得エラー:', error.message);
+      return null;
+    }
+  }
+
+  // LINE Messaging APIのwebhookエンドポイント（/webhook）
+  function createRouter({ handleEvent }) {
+    const router = express.Router();
+
+    router.post('/', (req, res) => {
+      try {
+        console.log('=== WEBHOOK受信開始 ===');
+        console.log('Webhook受信:', {
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: req.body
+        });
+        console.log('=== WEBHOOK受信終了 ===');
+
+        // 環境変数の確認
+        if (!channelSecret) {
+          console.error('LINE_CHANNEL_SECRETが設定されていません');
+          return res.status(500).send('Server configuration error');
+        }
+
+        // 署名検証
+        const signature = req.get('X-Line-Signature');
+        if (!signature) {
+          console.log('署名が見つかりません');
+          return res.status(400).send('Bad Request - No signature');
+        }
+
+        if (!verifySignature(signature, req.rawBody, channelSecret)) {
+          console.log('署名検証に失敗しました');
+          return res.status(400).send('Bad Request - Invalid signature');
+        }
+
+        console.log('署名検証成功');
+
+        // 即座に200 OKを返す（replyToken失効対策）
+        res.status(200).send('OK');
+
+        // イベント処理を非同期で実行
+        const events = req.body.events;
+        if (!events || !Array.isArray(events)) {
+          console.log('イベントが無効です:', req.body);
+          return;
+        }
+
+        // 非同期でイベント処理
+        setImmediate(() => {
+          events.forEach(event => {
+            handleEvent(event);
+          });
+          console.log('Webhook処理完了');
+        });
+      } catch (error) {
+        console.error('Webhook処理エラー:', error);
+        res.status(500).send('Internal Server Error');
+      }
+    });
+
+    return router;
+  }
+
+  return {
+    name: 'line',
+    path: '/webhook',
+    configured: Boolean(accessToken),
+    createRouter,
+    reply(replyToken, messages) {
+      return post('reply', { replyToken, messages });
+    },
+    push(to, messages, { retryKey } = {}) {
+      return post('push', { to, messages }, retryKey);
+    },
+    getMemberProfile
+  };
+}
+
+module.exports = {
+  verifySignature,
+  createLineTransport
+};
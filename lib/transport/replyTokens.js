@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Slack/Discord 用の replyToken（LINEの replyToken と同じく1回だけ・期限つきで使える）
+// 値は返信先（チャンネルや response_url など）。トークンには送信先の名前を接頭辞として付ける
+
+function createReplyTokenStore(prefix, ttlMs) {
+  const targets = new Map();
+
+  function sweep(now) {
+    targets.forEach((entry, token) => {
+      if (entry.expiresAt <= now) {
+        targets.delete(token);
+      }
+    });
+  }
+
+  return {
+    issue(target, now = Date.now()) {
+      sweep(now);
+      const token = `${prefix}:${crypto.randomUUID()}`;
+      targets.set(token, { target, expiresAt: now + ttlMs });
+      return token;
+    },
+    take(token, now = Date.now()) {
+      const entry = targets.get(token);
+      targets.delete(token);
+      return entry && entry.expiresAt > now ? entry.target : null;
+    }
+  };
+}
+
+module.exports = { createReplyTokenStore };
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+// ローカルシミュレーター用の送信先（LINEに送らず、ユーザーごとの受信ログに貯める）
+// replyToken はLINEと同じく1回だけ使える
+
+const MAX_LOG_ENTRIES = 1000;
+
+function createSimulatorTransport() {
+  const replyTokens = new Map();
+  const log = [];
+  let sequence = 0;
+
+  function append(userId, kind, messages) {
+    sequence += 1;
+    log.push({ id: sequence, userId, kind, messages, at: new Date().toISOString() });
+    if (log.length > MAX_LOG_ENTRIES) {
+      log.shift();
+    }
+  }
+
+  return {
+    name: 'simulator',
+    configured: true,
+    createReplyToken(userId) {
+      const token = crypto.randomUUID();
+      replyTokens.set(token, userId);
+      return token;
+    },
+    async reply(replyToken, messages) {
+      const userId = replyTokens.get(replyToken);
+      if (!userId) {
+        return { ok: false, status: 400, statusText: 'Bad Request', body: 'Invalid reply token' };
+      }
+      replyTokens.delete(replyToken);
+      append(userId, 'reply', messages);
+      return { ok: true, status: 200, statusText: 'OK', body: {} };
+    },
+    async push(to, messages) {
+      append(to, 'push', messages);
+      return { ok: true, status: 200, statusText: 'OK', body: {} };
+    },
+    // since より後に userId へ送ったメッセージ
+    listMessages(userId, since = 0) {
+      return log.filter(entry => entry.userId === userId && entry.id > since);
+    }
+  };
+}
+
+module.exports = { createSimulatorTransport };
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const express = require('express');
+const { flattenMessages, encodeAction, decodeAction, toCommandText } = require('./flatten');
+const { createReplyTokenStore } = require('./replyTokens');
+
+// Slack（Events API のDM・スラッシュコマンド・Block Kit のボタン）
+// 受け取った内容はLINEのwebhookイベントと同じ形にして handleEvent に渡す。userId は "slack:<ユーザーID>"
+
+const SLACK_API_BASE = 'https://slack.com/api';
+// 署名のタイムスタンプの許容範囲（リプレイ対策）
+const MAX_REQUEST_AGE_SECONDS = 5 * 60;
+// response_url は30分有効
+const REPLY_TOKEN_TTL_MS = 30 * 60 * 1000;
+
+const MAX_BLOCKS = 50;
+const MAX_SECTION_LENGTH = 3000;
+const MAX_BUTTONS_PER_BLOCK = 25;
+const MAX_BUTTON_LABEL_LENGTH = 75;
+
+// X-Slack-Signature: v0=HMAC-SHA256(signing secret, "v0:<timestamp>:<body>")
+function verifySlackRequest(headers, rawBody, secret, now = Date.now()) {
+  const timestamp = headers['x-slack-request-timestamp'];
+  const signature = headers['x-slack-signature'] || '';
+  if (!timestamp || Math.abs(now / 1000 - Number(timestamp)) > MAX_REQUEST_AGE_SECONDS) {
+    return false;
+  }
+  const expected = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+  return expected.length === signature.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+}
+
+// Slack のテキストは & < > がエスケープされて届く
+function decodeSlackText(text) {
+  return (text || '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function escapeMrkdwn(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function buildEvent(userId, replyToken, fields) {
+  return {
+    mode: 'active',
+    timestamp: Date.now(),
+    source: { type: 'user', userId: `slack:${userId}` },
+    replyToken,
+    deliveryContext: { isRedelivery: false },
+    ...fields
+  };
+}
+
+// Events API（DMのメッセージのみ扱う。ボット自身の投稿や編集などは無視）
+function parseEventsPayload(body, issueReplyToken) {
+  if (body.type === 'url_verification') {
+    return { response: { challenge: body.challenge }, events: [] };
+  }
+  const event = body.event || {};
+  if (body.type !== 'event_callback' || event.type !== 'message' || event.channel_type !== 'im' || event.bot_id || event.subtype) {
+    return { response: null, events: [] };
+  }
+  return {
+    response: null,
+    events: [buildEvent(event.user, issueReplyToken({ channel: event.channel }), {
+      type: 'message',
+      webhookEventId: body.event_id,
+      message: { type: 'text', id: event.client_msg_id || event.ts, text: decodeSlackText(event.text) }
+    })]
+  };
+}
+
+// スラッシュコマンド（返信は response_url に送る）
+function parseCommandPayload(form, issueReplyToken) {
+  return [buildEvent(form.user_id, issueReplyToken({ responseUrl: form.response_url }), {
+    type: 'message',
+    webhookEventId: form.trigger_id,
+    message: { type: 'text', id: form.trigger_id, text: toCommandText(form.text) }
+  })];
+}
+
+// Block Kit のボタン（value は "pb:<postback>" か "msg:<テキスト>"）
+function parseInteractionPayload(payload, issueReplyToken) {
+  if (payload.type !== 'block_actions' || !payload.actions || payload.actions.length === 0) {
+    return [];
+  }
+  const decoded = decodeAction(payload.actions[0].value);
+  if (!decoded) {
+    return [];
+  }
+  if (decoded.type === 'message') {
+    decoded.message.id = payload.trigger_id;
+  }
+  return [buildEvent(payload.user.id, issueReplyToken({ responseUrl: payload.response_url }), {
+    webhookEventId: payload.trigger_id,
+    ...decoded
+  })];
+}
+
+function splitText(text, size) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(text.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function toSlackButton(action, index) {
+  const button = {
+    type: 'button',
+    text: { type: 'plain_text', text: action.label.slice(0, MAX_BUTTON_LABEL_LENGTH), emoji: true },
+    action_id: `action_${index}`
+  };
+  if (action.kind === 'uri') {
+    button.url = action.value;
+  } else {
+    button.value = encodeAction(action);
+  }
+  return button;
+}
+
+// LINE形式のメッセージ配列 → Slack の { text, blocks }（text は通知用の代替テキスト）
+function toSlackMessage(messages) {
+  const blocks = [];
+  let buttonIndex = 0;
+  flattenMessages(messages).forEach(part => {
+    if (part.kind === 'text') {
+      splitText(escapeMrkdwn(part.text), MAX_SECTION_LENGTH).forEach(text => {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
+      });
+    } else if (part.kind === 'divider') {
+      blocks.push({ type: 'divider' });
+    } else {
+      for (let i = 0; i < part.actions.length; i += MAX_BUTTONS_PER_BLOCK) {
+        blocks.push({
+          type: 'actions',
+          elements: part.actions.slice(i, i + MAX_BUTTONS_PER_BLOCK).map(action => toSlackButton(action, buttonIndex++))
+        });
+      }
+    }
+  });
+
+  const first = messages[0] || {};
+  return {
+    text: (first.type === 'text' ? first.text : first.altText || '').slice(0, MAX_SECTION_LENGTH),
+    blocks: blocks.slice(0, MAX_BLOCKS)
+  };
+}
+
+// now は署名のタイムスタンプ確認に使う現在時刻（記録したリクエストの再生用に差し替えられる）
+function createSlackTransport({ botToken, signingSecret, now = () => Date.now() }) {
+  const replyTokens = createReplyTokenStore('slack', REPLY_TOKEN_TTL_MS);
+
+  async function callApi(method, body) {
+    const response = await fetch(`${SLACK_API_BASE}/${method}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Authorization': `Bearer ${botToken}`
+      },
+      body: JSON.stringify(body)
+    });
+    const data = response.ok ? await response.json() : await response.text();
+    return {
+      ok: response.ok && data.ok === true,
+      status: response.status,
+      statusText: data.error || response.statusText,
+      body: data
+    };
+  }
+
+  async function postToResponseUrl(responseUrl, message) {
+    const response = await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ response_type: 'ephemeral', replace_original: false, ...message })
+    });
+    return { ok: response.ok, status: response.status, statusText: response.statusText, body: await response.text() };
+  }
+
+  // 署名を検証して 401 を返すミドルウェア
+  function verify(req, res, next) {
+    if (!verifySlackRequest(req.headers, req.rawBody, signingSecret, now())) {
+      console.log('Slackの署名検証に失敗しました');
+      return res.status(401).send('Invalid signature');
+    }
+    next();
+  }
+
+  function dispatch(events, handleEvent) {
+    setImmediate(() => events.forEach(event => handleEvent(event)));
+  }
+
+  function createRouter({ handleEvent }) {
+    const router = express.Router();
+    // スラッシュコマンドとボタンは application/x-www-form-urlencoded で届く
+    router.use(express.urlencoded({
+      extended: false,
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    const issue = target => replyTokens.issue(target);
+
+    router.post('/events', verify, (req, res) => {
+      // 応答済みのイベントの再送（タイムアウト時など）は処理しない
+      if (req.get('X-Slack-Retry-Num')) {
+        return res.status(200).send('OK');
+      }
+      const { response, events } = parseEventsPayload(req.body, issue);
+      res.status(200).json(response || {});
+      dispatch(events, handleEvent);
+    });
+
+    router.post('/commands', verify, (req, res) => {
+      res.status(200).send('');
+      dispatch(parseCommandPayload(req.body, issue), handleEvent);
+    });
+
+    router.post('/interactions', verify, (req, res) => {
+      let payload;
+      try {
+        payload = JSON.parse(req.body.payload);
+      } catch (error) {
+        return res.status(400).send('Invalid payload');
+      }
+      res.status(200).send('');
+      dispatch(parseInteractionPayload(payload, issue), handleEvent);
+    });
+
+    return router;
+  }
+
+  return {
+    name: 'slack',
+    prefix: 'slack',
+    path: '/slack',
+    configured: Boolean(botToken),
+    createRouter,
+    reply(replyToken, messages) {
+      const target = replyTokens.take(replyToken);
+      if (!target) {
+        return Promise.resolve({ ok: false, status: 400, statusText: 'Invalid reply token', body: null });
+      }
+      const message = toSlackMessage(messages);
+      return target.responseUrl
+        ? postToResponseUrl(target.responseUrl, message)
+        : callApi('chat.postMessage', { channel: target.channel, ...message });
+    },
+    // DMへの送信（channel にユーザーIDを指定するとアプリとのDMに届く）
+    push(userId, messages) {
+      return callApi('chat.postMessage', { channel: userId.replace(/^slack:/, ''), ...toSlackMessage(messages) });
+    }
+  };
+}
+
+module.exports = {
+  verifySlackRequest,
+  parseEventsPayload,
+  parseCommandPayload,
+  parseInteractionPayload,
+  toSlackMessage,
+  createSlackTransport
+};
@@ -0,0 +1,27 @@
+// ユーザーごとの処理キュー（同じユーザーの処理は届いた順に1つずつ、別のユーザーの処理は並行して進む）
+// webhookイベント・定期ジョブ・AI応答が同じユーザーの状態を同時に書き換えないようにする
+
+function createUserQueue() {
+  // キーごとの最後の処理（完了したら消す）
+  const tails = new Map();
+
+  return {
+    // task の戻り値（Promise なら完了まで待つ）で解決する。前の処理が失敗しても次は実行する
+    run(key, task) {
+      const previous = tails.get(key) || Promise.resolve();
+      const current = previous.then(() => task());
+      const tail = current.catch(() => {});
+      tails.set(key, tail);
+      tail.then(() => {
+        if (tails.get(key) === tail) {
+          tails.delete(key);
+        }
+      });
+      return current;
+    },
+    // 処理中・待ちのキーの数
+    size: () => tails.size
+  };
+}
+
+module.exports = { createUserQueue };
@@ -0,0 +1,136 @@
+const { resolveGoalId } = require('./goals');
+
+const MAX_ESCAPE_TASKS = 3;
+const MAX_NEXT_WEEK_TASKS = 3;
+// この回数以上持ち越したタスクは常習として指摘する
+const CHRONIC_CARRY_COUNT = 2;
+
+// 表記ゆれを吸収したタスク名のキー
+function normalizeTaskName(name) {
+  return name.toLowerCase().replace(/\s+/g, '');
+}
+
+// 週のタスクをタスク名ごとにまとめる
+function groupTasks(days, goals) {
+  const groups = new Map();
+  days.forEach(day => {
+    day.tasks.forEach(task => {
+      const key = normalizeTaskName(task.name);
+      if (!groups.has(key)) {
+        groups.set(key, { name: task.name, goalId: null, total: 0, done: 0, missed: 0, carried: 0, substituted: 0 });
+      }
+      const group = groups.get(key);
+      group.goalId = group.goalId || resolveGoalId(task, goals);
+      group.total += 1;
+      if (task.status === 'done') {
+        group.done += 1;
+      } else if (task.status === 'miss') {
+        group.missed += 1;
+      } else if (task.status === 'carry') {
+        group.carried += 1;
+      }
+    });
+
+    // 目標タスクを落とした日に完了した目標外タスク＝楽な代替行動
+    const goalTaskMissed = day.tasks.some(t => t.status === 'miss' && resolveGoalId(t, goals));
+    if (goalTaskMissed) {
+      day.tasks
+        .filter(t => t.status === 'done' && !resolveGoalId(t, goals))
+        .forEach(t => {
+          groups.get(normalizeTaskName(t.name)).substituted += 1;
+        });
+    }
+  });
+  return Array.from(groups.values());
+}
+
+// 逃避タスク（最大3つ）: 頻度が高いのに完了が少ない、または目標タスクの代わりに片付けられているもの
+function findEscapeTasks(days, goals) {
+  return groupTasks(days, goals)
+    .map(group => {
+      const lowCompletion = group.total >= 2 && group.done / group.total < 0.5;
+      const substitute = group.substituted > 0;
+      if (!lowCompletion && !substitute) {
+        return null;
+      }
+      return {
+        name: group.name,
+        total: group.total,
+        done: group.done,
+        reason: lowCompletion ? 'low_completion' : 'substitute',
+        score: (lowCompletion ? group.total - group.done : 0) + group.substituted * 2
+      };
+    })
+    .filter(item => item)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_ESCAPE_TASKS);
+}
+
+// 来週の上位3タスク案: 落とした目標タスク → 手つかずの目標 → 続けるべき目標タスクの順
+function proposeNextWeekTasks(days, goals) {
+  const groups = groupTasks(days, goals);
+  const proposals = [];
+  const add = (name, reason) => {
+    if (proposals.length < MAX_NEXT_WEEK_TASKS && !proposals.some(p => normalizeTaskName(p.name) === normalizeTaskName(name))) {
+      proposals.push({ name, reason });
+    }
+  };
+
+  groups
+    .filter(g => g.goalId && g.missed + g.carried > 0)
+    .sort((a, b) => b.missed + b.carried - (a.missed + a.carried))
+    .forEach(g => add(g.name, 'retry'));
+
+  goals
+    .filter(goal => !groups.some(g => g.goalId === goal.id))
+    .forEach(goal => add(`${goal.name}に直結するタスクを1つ`, 'untouched_goal'));
+
+  groups
+    .filter(g => g.goalId && g.done > 0)
+    .sort((a, b) => b.done - a.done)
+    .forEach(g => add(g.name, 'continue'));
+
+  groups
+    .filter(g => !g.goalId && g.missed > 0)
+    .sort((a, b) => b.missed - a.missed)
+    .forEach(g => add(g.name, 'retry'));
+
+  return proposals;
+}
+
+// 週のうちに何度も持ち越されたタスク
+function findChronicCarryOvers(days, goals = []) {
+  return groupTasks(days, goals)
+    .filter(g => g.carried >= CHRONIC_CARRY_COUNT)
+    .sort((a, b) => b.carried - a.carried)
+    .slice(0, MAX_ESCAPE_TASKS)
+    .map(g => ({ name: g.name, carried: g.carried, done: g.done > 0 }));
+}
+
+// 週のうちに未達が多かったタスク（週次レビューのカード表示用）
+function findMostMissedTasks(days, goals = []) {
+  return groupTasks(days, goals)
+    .filter(g => g.missed > 0)
+    .sort((a, b) => b.missed - a.missed || b.total - a.total)
+    .slice(0, MAX_ESCAPE_TASKS)
+    .map(g => ({ name: g.name, missed: g.missed, total: g.total }));
+}
+
+function analyzeWeek(days, goals) {
+  return {
+    escapeTasks: findEscapeTasks(days, goals),
+    nextWeekTasks: proposeNextWeekTasks(days, goals),
+    carryOvers: findChronicCarryOvers(days, goals),
+    mostMissed: findMostMissedTasks(days, goals)
+  };
+}
+
+module.exports = {
+  CHRONIC_CARRY_COUNT,
+  normalizeTaskName,
+  findEscapeTasks,
+  proposeNextWeekTasks,
+  findChronicCarryOvers,
+  findMostMissedTasks,
+  analyzeWeek
+};
@@ -0,0 +1,135 @@
+const { detectPersonalityAttack } = require('./safety');
+const { validateSchema, parseJson } = require('./jsonSchema');
+const { getTaskLetter } = require('./reportParser');
+
+// LLMによる週次の「人生監査」（JSONで受け取りスキーマ検証。不正なら null を返し、呼び出し側はテンプレートに戻す）
+
+const MAX_ITEMS = 3;
+const MAX_VERDICT_LENGTH = 120;
+// 決定的に計算した数値とのずれの許容範囲
+const RATE_TOLERANCE = 1;
+const ALIGNMENT_TOLERANCE = 0.01;
+
+const ITEM_SCHEMA = {
+  type: 'object',
+  required: ['name', 'reason'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 50 },
+    reason: { type: 'string', minLength: 1, maxLength: 100 }
+  }
+};
+
+const AUDIT_SCHEMA = {
+  type: 'object',
+  required: ['completionRate', 'alignment', 'escapeTasks', 'nextWeekTasks', 'verdict'],
+  properties: {
+    completionRate: { type: 'integer', minimum: 0, maximum: 100 },
+    alignment: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+    escapeTasks: { type: 'array', maxItems: MAX_ITEMS, items: ITEM_SCHEMA },
+    nextWeekTasks: { type: 'array', minItems: 1, maxItems: MAX_ITEMS, items: ITEM_SCHEMA },
+    verdict: { type: 'string', minLength: 1, maxLength: MAX_VERDICT_LENGTH, pattern: '^[^\\n]+$' }
+  }
+};
+
+const TONE_RULES = {
+  mild: '事実＋提案＋励まし。丁寧語',
+  sharp: '事実＋矛盾指摘＋選択肢。短文・敬語省略',
+  dos: '事実＋非情な基準＋次の1手を強制。命令形'
+};
+
+// スキーマに加えて、数値が実績と一致するか・人格攻撃がないかを確認
+function validateAudit(audit, facts) {
+  const errors = validateSchema(audit, AUDIT_SCHEMA);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (Math.abs(audit.completionRate - facts.completionRate) > RATE_TOLERANCE) {
+    errors.push(`$.completionRate: 実績（${facts.completionRate}）と一致しません`);
+  }
+  if ((audit.alignment === null) !== (facts.alignment === null) ||
+      (facts.alignment !== null && Math.abs(audit.alignment - facts.alignment) > ALIGNMENT_TOLERANCE)) {
+    errors.push(`$.alignment: 実績（${facts.alignment}）と一致しません`);
+  }
+
+  const texts = [audit.verdict, ...audit.escapeTasks.map(t => t.reason), ...audit.nextWeekTasks.map(t => t.reason)];
+  const attack = texts.map(detectPersonalityAttack).find(term => term);
+  if (attack) {
+    errors.push(`人格攻撃にあたる表現を含みます: ${attack}`);
+  }
+  return errors;
+}
+
+function formatDayLines(days) {
+  return days.map(day => {
+    const tasks = day.tasks.map(t => {
+      const progress = t.status === 'partial' && t.progress !== null ? ` ${t.progress}%` : '';
+      return `${getTaskLetter(t)}. ${t.name} = ${t.status}${progress}${t.reason ? `（${t.reason}）` : ''}`;
+    });
+    return `- ${day.date}: ${tasks.join(' / ')}`;
+  }).join('\n');
+}
+
+function buildAuditMessages({ tone, days, goals, facts, candidates }) {
+  const system = `あなたは「寺子屋タスクメンター」の週次監査役です。1週間の実績から、上位目標との整合性を監査します。
+
+【出力】
+次のJSON Schemaに厳密に従うJSONオブジェクトだけを返す。前後に文章やコードブロックをつけない。
+${JSON.stringify(AUDIT_SCHEMA)}
+
+【ルール】
+- completionRate と alignment は与えられた実績の値をそのまま使う
+- escapeTasks: 頻度が高いのに成果が薄い、または目標タスクの代わりに片付けているタスク（最大${MAX_ITEMS}つ。なければ空配列）。reason に根拠を書く
+- nextWeekTasks: 来週の上位タスク（最大${MAX_ITEMS}つ）。目標に直結し、1日で終わる具体的な行動にする
+- verdict: 口調（${tone}: ${TONE_RULES[tone] || TONE_RULES.mild}）に合わせた1行の総評（${MAX_VERDICT_LENGTH}文字以内）
+- 人格攻撃・罵倒は禁止。評価するのは行動と結果だけで、能力・性格・存在を否定しない`;
+
+  const user = `【実績】
+達成率: ${facts.completionRate}%
+アラインメント: ${facts.alignment === null ? 'null（目標未登録）' : facts.alignment}
+
+【目標】
+${goals.length > 0 ? goals.map(g => `- ${g.name}`).join('\n') : '（未登録）'}
+
+【日別の記録】
+${days.length > 0 ? formatDayLines(days) : '（記録なし）'}
+
+【集計による候補】
+逃避タスク候補: ${candidates.escapeTasks.map(t => t.name).join(', ') || 'なし'}
+来週のタスク候補: ${candidates.nextWeekTasks.map(t => t.name).join(', ') || 'なし'}`;
+
+  return [
+    { role: 'system', content: system },
+    { role: 'user', content: user }
+  ];
+}
+
+// LLMに監査させる。LLMの失敗・JSONでない・検証エラーの場合は null
+async function runWeeklyAudit(llm, input) {
+  let content;
+  try {
+    content = await llm.complete({ messages: buildAuditMessages(input), maxTokens: 600, temperature: 0.3 });
+  } catch (error) {
+    console.error('週次監査のLLM呼び出しエラー:', error.code || '', error.message);
+    return null;
+  }
+
+  const audit = parseJson(content);
+  if (!audit) {
+    console.error('週次監査の応答がJSONではありません:', content.slice(0, 200));
+    return null;
+  }
+
+  const errors = validateAudit(audit, input.facts);
+  if (errors.length > 0) {
+    console.error('週次監査の検証エラー:', errors.join(' / '));
+    return null;
+  }
+  return audit;
+}
+
+module.exports = {
+  AUDIT_SCHEMA,
+  validateAudit,
+  runWeeklyAudit
+};
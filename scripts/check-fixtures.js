@@ -0,0 +1,113 @@
+// 記録したSlack/Discordのリクエスト（fixtures/）を各送信先のルーターに流し、
+// 署名検証・応答・handleEvent に渡るイベントが期待どおりかを確かめる
+// 使い方: npm run check:fixtures
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const { createSlackTransport, createDiscordTransport } = require('../lib/transport');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function readText(file) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8').trim();
+}
+
+function createTransport(channel, fixture) {
+  if (channel === 'slack') {
+    return createSlackTransport({ botToken: 'xoxb-fixture', signingSecret: readText('slack/signing-secret.txt'), now: () => fixture.receivedAt });
+  }
+  return createDiscordTransport({ applicationId: 'fixture', publicKey: readText('discord/public-key.txt'), botToken: 'fixture', commandName: 'terakoya' });
+}
+
+// 比較しやすい形（種類・userId・テキストかpostbackのデータ）にする
+function summarizeEvent(event) {
+  const summary = { type: event.type, userId: event.source.userId };
+  if (event.message) {
+    summary.text = event.message.text;
+  }
+  if (event.postback) {
+    summary.data = event.postback.data;
+  }
+  return summary;
+}
+
+// server.js と同じ JSON パーサー（rawBody を残す）の下にルーターを置き、1リクエストだけ流す
+function replay(channel, fixture, body) {
+  const events = [];
+  const transport = createTransport(channel, fixture);
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use(transport.path, transport.createRouter({ handleEvent: event => events.push(summarizeEvent(event)) }));
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, () => {
+      const request = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: fixture.path,
+        headers: fixture.headers
+      }, response => {
+        let text = '';
+        response.on('data', chunk => {
+          text += chunk;
+        });
+        response.on('end', () => {
+          // handleEvent は応答後に setImmediate で呼ばれる
+          setImmediate(() => {
+            server.close();
+            resolve({ status: response.statusCode, response: text.startsWith('{') ? JSON.parse(text) : null, events });
+          });
+        });
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  });
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+async function checkFixture(channel, file) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, channel, file), 'utf8'));
+  const errors = [];
+
+  const result = await replay(channel, fixture, fixture.body);
+  if (result.status !== 200) {
+    errors.push(`status ${result.status}`);
+  }
+  if ('response' in fixture.expected && !isEqual(result.response && Object.keys(result.response).length > 0 ? result.response : null, fixture.expected.response)) {
+    errors.push(`response ${JSON.stringify(result.response)}`);
+  }
+  if (!isEqual(result.events, fixture.expected.events)) {
+    errors.push(`events ${JSON.stringify(result.events)}`);
+  }
+
+  // 本文を1文字でも変えたら（末尾に空白を足しただけでも）署名検証で弾かれること
+  const tampered = await replay(channel, fixture, `${fixture.body} `);
+  if (tampered.status !== 401 || tampered.events.length > 0) {
+    errors.push(`tampered request was accepted (${tampered.status})`);
+  }
+
+  console.log(`${errors.length === 0 ? 'OK' : 'NG'} ${channel}/${file}: ${fixture.description}${errors.length ? `\n  ${errors.join('\n  ')}` : ''}`);
+  return errors.length === 0;
+}
+
+(async () => {
+  let failed = 0;
+  for (const channel of ['slack', 'discord']) {
+    const files = fs.readdirSync(path.join(FIXTURES_DIR, channel)).filter(file => file.endsWith('.json')).sort();
+    for (const file of files) {
+      if (!(await checkFixture(channel, file))) {
+        failed += 1;
+      }
+    }
+  }
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,54 @@
+// /import で取り込むエクスポートJSON（fixtures/import/）を検証・取り込みに通し、
+// 不正なものは validateImport で弾かれ、通ったものは取り込み後の朝コミットの目標判定・未達理由の集計・CSVまで動くことを確かめる
+// 使い方: npm run check:import
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore, createRepository } = require('../lib/storage');
+const { validateImport, importUserData, buildExport, buildCsv } = require('../lib/dataPortability');
+const { matchGoalByKeywords } = require('../lib/goals');
+const { findRecurringMissReasons } = require('../lib/conversationMemory');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'import');
+
+function checkFixture(file) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+  const errors = [];
+
+  const error = validateImport(fixture.data);
+  if (error !== fixture.expected.error) {
+    errors.push(`error ${JSON.stringify(error)}`);
+  }
+
+  if (!error) {
+    const repo = createRepository(createMemoryStore());
+    const user = { id: 'Uimport', settings: { timezone: 'Asia/Tokyo', tone: 'mild' } };
+    repo.saveUser(user);
+    const result = importUserData(repo, user, fixture.data);
+    if (result.goals !== fixture.expected.goals) {
+      errors.push(`goals ${result.goals}`);
+    }
+    try {
+      fixture.data.days.forEach(day => day.tasks.forEach(task => matchGoalByKeywords(task.name, repo.getGoals(user.id))));
+      findRecurringMissReasons(repo.listAllDays(user.id));
+      buildCsv(buildExport(repo, user.id));
+    } catch (useError) {
+      errors.push(`threw: ${useError.message}`);
+    }
+    // 未報告のタスクが残っていた過去の日は締めてある
+    (fixture.expected.closedDays || []).forEach(date => {
+      const day = repo.getDay(user.id, date);
+      if (!day || !day.closedAt || day.tasks.some(task => task.status === 'pending')) {
+        errors.push(`day ${date} not closed`);
+      }
+    });
+  }
+
+  console.log(`${errors.length === 0 ? 'OK' : 'NG'} import/${file}: ${fixture.description}${errors.length ? `\n  ${errors.join('\n  ')}` : ''}`);
+  return errors.length === 0;
+}
+
+const failed = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .filter(file => !checkFixture(file)).length;
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,34 @@
+// 夜の報告の例（fixtures/report/）を parseEveningReport に通し、記録される結果と読み取れなかった部分が期待どおりかを確かめる
+// 使い方: npm run check:report
+const fs = require('fs');
+const path = require('path');
+const { parseEveningReport } = require('../lib/reportParser');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'report');
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function checkFixture(file) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+  const tasks = fixture.tasks.map((name, i) => ({ id: String(i + 1), name, status: 'pending' }));
+  const { results, unparsed } = parseEveningReport(fixture.text, tasks);
+  const errors = [];
+
+  if (!isEqual(results, fixture.expected.results)) {
+    errors.push(`results ${JSON.stringify(results)}`);
+  }
+  if (!isEqual(unparsed, fixture.expected.unparsed)) {
+    errors.push(`unparsed ${JSON.stringify(unparsed)}`);
+  }
+
+  console.log(`${errors.length === 0 ? 'OK' : 'NG'} report/${file}: ${fixture.description}${errors.length ? `\n  ${errors.join('\n  ')}` : ''}`);
+  return errors.length === 0;
+}
+
+const failed = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .filter(file => !checkFixture(file)).length;
+process.exit(failed > 0 ? 1 : 0);
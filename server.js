@@ -2,16 +2,106 @@ const express = require('express');
 const crypto = require('crypto');
 const cron = require('node-cron');
 const moment = require('moment-timezone');
-const OpenAI = require('openai');
 require('dotenv').config();
+const { createStore, createRepository } = require('./lib/storage');
+const { createLLM, toUserMessage } = require('./lib/llm');
+const { createTransports, selectTransport } = require('./lib/transport');
+const { createSimulatedClock } = require('./lib/simulator/clock');
+const { createSimulatorRouter } = require('./lib/simulator/routes');
+const { getDateRange, getWeekKey, summarizeDays, getCompletionRate, formatHistory } = require('./lib/history');
+const {
+  MAX_GOALS,
+  parseGoalInput,
+  getGoalNumber,
+  getLastGoalNumber,
+  createGoal,
+  matchGoalByKeywords,
+  classifyTasksWithLLM,
+  computeAlignment,
+  formatGoalBreakdown,
+  formatGoalList
+} = require('./lib/goals');
+const { CHRONIC_CARRY_COUNT, normalizeTaskName, analyzeWeek } = require('./lib/weeklyAnalysis');
+const { getLogicalDate } = require('./lib/logicalDay');
+const { JOB_TYPES, claimDueJobs } = require('./lib/scheduler');
+const { createDeliveryQueue, createReplyTargets } = require('./lib/delivery');
+const { createUserQueue } = require('./lib/userQueue');
+const { GROUP_HELP, getGroupId, buildMorningBoard, buildScoreboard, buildGroupWeeklyReview } = require('./lib/groups');
+const {
+  INVITE_TTL_HOURS,
+  MAX_NUDGES_PER_DAY,
+  BUDDY_USAGE,
+  NUDGE_MESSAGE,
+  createInviteCode,
+  normalizeInviteCode,
+  formatBuddyStatus,
+  formatWatchChange,
+  buildCommitmentNotice,
+  buildMissNotice
+} = require('./lib/buddy');
+const { isFullyReported, computeStreaks, getEscalation, formatStreakLine, formatStreakSummary } = require('./lib/streaks');
+const { SETTINGS_USAGE, parseSettings, formatSchedule } = require('./lib/settingsParser');
+const {
+  MAX_TASKS,
+  DEFAULT_PARTIAL_PROGRESS,
+  detectReportType,
+  getTaskLetter,
+  parseMorningCommit,
+  parseEveningReport
+} = require('./lib/reportParser');
+const {
+  STATUS_LABELS,
+  parseTaskPostback,
+  parseWeeklyPostback,
+  buildTaskCard,
+  buildWeeklyReviewCard
+} = require('./lib/flexMessages');
+const { runWeeklyAudit } = require('./lib/weeklyAudit');
+const { findVagueTasks, splitTask } = require('./lib/taskQuality');
+const {
+  buildExport,
+  buildCsv,
+  createDownloadToken,
+  verifyDownloadToken,
+  validateImport,
+  importUserData
+} = require('./lib/dataPortability');
+const {
+  PAST_WEEKS,
+  createConversation,
+  appendExchange,
+  compactConversation,
+  buildHistoryMessages,
+  summarizePastWeeks,
+  findRecurringMissReasons
+} = require('./lib/conversationMemory');
+const { EVENT_TYPES, REVIEW_READ_WINDOW_HOURS, createEvent, computeKpis } = require('./lib/metrics');
+const {
+  SUPPORT_MESSAGE,
+  detectCrisis,
+  isSafetyModeActive,
+  enterSafetyMode,
+  exitSafetyModeIfExpired
+} = require('./lib/safety');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// OpenAIクライアント初期化
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// 送信先（TRANSPORT=line|simulator。line ではSlack・Discordも設定があれば併用、simulator はLINEなしで /simulator から試せる）
+const transports = createTransports();
+
+// 送信キュー（通信エラー・429・5xx は Retry-After かバックオフで再試行）と、返信に失敗したときのPush先
+const deliveryQueue = createDeliveryQueue();
+const replyTargets = createReplyTargets();
+
+// ユーザーごとの処理キュー（webhookイベント・定期ジョブ・AI応答を同じユーザー内で順番に処理する）
+const userQueue = createUserQueue();
+
+// 処理済みwebhookイベントを覚えておく時間（この間に届いた再送は処理しない）
+const WEBHOOK_EVENT_RETENTION_HOURS = 24;
+
+// LLMクライアント初期化（LLM_PROVIDER で openai | mock を切り替え。未設定なら null）
+const llm = createLLM();
 
 // ミドルウェア設定
 app.use(express.json({
@@ -20,11 +110,8 @@ app.use(express.json({
   }
 }));
 
-// メモリ内データベース（本番では外部DBを使用）
-const users = new Map();
-const tasks = new Map();
-const weeklyReports = new Map();
-const userStates = new Map(); // ユーザーの状態管理
+// データストア（STORAGE_BACKEND=memory|file で切り替え）
+const repo = createRepository(createStore());
 
 // デフォルト設定
 const DEFAULT_SETTINGS = {
@@ -37,48 +124,191 @@ const DEFAULT_SETTINGS = {
   tone: 'mild'
 };
 
-// 署名検証関数
-function verifySignature(signature, body, secret) {
-  const hash = crypto
-    .createHmac('sha256', secret)
-    .update(body)
-    .digest('base64');
-  
-  return signature === hash;
-}
+// グループのボードの初期値（朝のボードは各自が宣言してから見られるよう、個人の朝の通知より遅くする）
+const DEFAULT_GROUP_SETTINGS = {
+  amTime: '09:00',
+  pmTime: DEFAULT_SETTINGS.pmTime,
+  weeklyTime: DEFAULT_SETTINGS.weeklyTime,
+  weeklyDay: DEFAULT_SETTINGS.weeklyDay,
+  timezone: DEFAULT_SETTINGS.timezone
+};
+// グループの定期ジョブ（締切・再通知は各自の設定で動く）
+const GROUP_JOB_TYPES = JOB_TYPES.filter(type => ['am', 'pm', 'weekly'].includes(type));
 
 // ユーザー初期化
 function initializeUser(userId) {
-  if (!users.has(userId)) {
-    users.set(userId, {
+  let user = repo.getUser(userId);
+  if (!user) {
+    user = repo.saveUser({
       id: userId,
       settings: { ...DEFAULT_SETTINGS },
-      currentTasks: [],
-      currentWeek: moment().tz(DEFAULT_SETTINGS.timezone).format('YYYY-WW'),
+      currentWeek: getWeekKey(DEFAULT_SETTINGS.timezone),
+      currentDate: null,
+      logicalDate: null,
       lastAmReport: null,
-      lastPmReport: null,
-      weeklyStats: {
-        totalTasks: 0,
-        completedTasks: 0,
-        missedTasks: 0,
-        alignment: 0.5
-      }
+      lastPmReport: null
     });
+  } else if (exitSafetyModeIfExpired(user)) {
+    repo.saveUser(user);
+  }
+  return user;
+}
+
+// KPIイベントの記録（date は省略時にユーザーの論理日）
+function recordEvent(type, user, meta = {}, date = null) {
+  return repo.recordEvent(createEvent(type, user.id, date || getLogicalDate(user.settings), meta));
+}
+
+// 週次レビュー配信後、一定時間内の反応を「読んだ」として記録
+function markReviewRead(userId) {
+  const user = repo.getUser(userId);
+  const review = user && user.pendingReview;
+  if (!review) {
+    return;
+  }
+  
+  const hours = moment().diff(moment(review.deliveredAt), 'hours', true);
+  if (hours <= REVIEW_READ_WINDOW_HOURS) {
+    recordEvent(EVENT_TYPES.REVIEW_READ, user, { week: review.week });
+  }
+  delete user.pendingReview;
+  repo.saveUser(user);
+}
+
+// トーン変更（セーフティモード中は解除後のトーンとして予約する）
+function changeTone(userId, tone) {
+  const user = initializeUser(userId);
+  if (isSafetyModeActive(user)) {
+    user.safety.originalTone = tone;
+    repo.saveUser(user);
+    return `しばらくはMildで続けます。${moment(user.safety.until).tz(user.settings.timezone).format('MM/DD HH:mm')}以降に${tone}に切り替えます。`;
+  }
+  updateUserSettings(userId, { tone });
+  return `トーンを${tone}に変更しました。`;
+}
+
+// 危機ワードの検知（検知時はセーフティモードに入り、運営向けに記録する）
+function checkCrisis(userId, text, source) {
+  const term = detectCrisis(text);
+  if (!term) {
+    return false;
+  }
+  
+  const user = initializeUser(userId);
+  enterSafetyMode(user);
+  repo.saveUser(user);
+  repo.saveSafetyEvent({
+    userId,
+    term,
+    source,
+    until: user.safety.until,
+    createdAt: new Date().toISOString()
+  });
+  console.warn('危機ワードを検知しました:', { userId, term, source });
+  return true;
+}
+
+// ユーザー設定の更新
+function updateUserSettings(userId, changes) {
+  const user = initializeUser(userId);
+  user.settings = { ...user.settings, ...changes };
+  return repo.saveUser(user);
+}
+
+// 直近の朝コミットの日別記録
+function getCurrentDay(user) {
+  return user.currentDate ? repo.getDay(user.id, user.currentDate) : null;
+}
+
+// 報告を受け付ける日の記録（当日の論理日だけ。締め済みの日は変えない）
+function getReportableDay(user) {
+  const day = repo.getDay(user.id, user.logicalDate);
+  return day && !day.closedAt && day.tasks.length > 0 ? day : null;
+}
+
+// 報告を受け付けられないときの返事（前の日のタスクは締切で締めている）
+function getUnreportableMessage(user) {
+  return user.currentDate && user.currentDate !== user.logicalDate
+    ? `${user.currentDate}のタスクは締切（${user.settings.deadline}）を過ぎたので締めました。未報告のタスクは未達として記録しています。\n\n今日のタスクを am: で宣言してください。`
+    : 'まず朝にタスクを宣言してください。\n\n例: am: タスクA, タスクB, タスクC';
+}
+
+// date より前の直近の記録で carry にしたタスク（carryCount はこれまでの持ち越し回数）
+function getCarriedTasks(userId, date) {
+  const to = moment(date, 'YYYY-MM-DD').subtract(1, 'day').format('YYYY-MM-DD');
+  const from = moment(date, 'YYYY-MM-DD').subtract(14, 'days').format('YYYY-MM-DD');
+  const previous = repo.listDays(userId, from, to).pop();
+  if (!previous) {
+    return [];
+  }
+  return previous.tasks
+    .filter(t => t.status === 'carry')
+    .map(t => ({ name: t.name, carryCount: (t.carryCount || 0) + 1 }));
+}
+
+// 直近7日間の日別記録
+function getWeeklyDays(user) {
+  const range = getDateRange(user.settings.timezone, 7);
+  return repo.listDays(user.id, range.from, range.to);
+}
+
+// 直近7日間の集計
+function getWeeklySummary(user) {
+  return summarizeDays(getWeeklyDays(user));
+}
+
+// 全期間の日別記録から、論理日時点の連続記録とDo-Sの段階
+function getUserProgress(user, now = moment()) {
+  const today = getLogicalDate(user.settings, now);
+  const days = repo.listAllDays(user.id);
+  return { today, days, streaks: computeStreaks(days, today), escalation: getEscalation(days, today) };
+}
+
+// Do-Sの段階はトーンが dos のときだけ使う（セーフティモード中は mild になるので上がらない）
+function getDosEscalation(user, progress) {
+  return user.settings.tone === 'dos' ? progress.escalation : null;
+}
+
+// キーワードで決まらなかったタスクをLLMで目標に分類（GOAL_CLASSIFIER=llm の場合のみ）
+async function classifyDayTasks(userId, date) {
+  const goals = repo.getGoals(userId);
+  const day = repo.getDay(userId, date);
+  const unmatched = day ? day.tasks.filter(t => !t.goalId) : [];
+  if (goals.length === 0 || unmatched.length === 0) {
+    return;
   }
-  return users.get(userId);
+
+  const result = await classifyTasksWithLLM(llm, unmatched, goals);
+  day.tasks.forEach(task => {
+    if (!task.goalId && result[task.id]) {
+      task.goalId = result[task.id];
+    }
+  });
+  repo.saveDay(day);
 }
 
 // ユーザー状態管理
 function setUserState(userId, state) {
-  userStates.set(userId, state);
+  repo.setState(userId, state);
 }
 
 function getUserState(userId) {
-  return userStates.get(userId) || 'normal';
+  return repo.getState(userId);
 }
 
 function clearUserState(userId) {
-  userStates.delete(userId);
+  repo.clearState(userId);
+}
+
+// AIチャット用の過去の実績（直近数週の達成率と繰り返す未達理由）
+function getCoachingHistory(user) {
+  const today = getLogicalDate(user.settings);
+  const from = moment(today, 'YYYY-MM-DD').subtract(PAST_WEEKS * 7 - 1, 'days').format('YYYY-MM-DD');
+  const days = repo.listDays(user.id, from, today);
+  return {
+    pastWeeks: summarizePastWeeks(days, today),
+    recurringMissReasons: findRecurringMissReasons(days)
+  };
 }
 
 // AI会話機能
@@ -86,14 +316,17 @@ async function generateAIResponse(userId, message, context = {}) {
   try {
     console.log('AI応答生成開始:', { userId, message, context });
     
-    // OpenAI APIキーの確認
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('OPENAI_API_KEYが設定されていません');
+    // LLMの設定確認
+    if (!llm) {
+      console.error('LLMプロバイダーが設定されていません（OPENAI_API_KEY / LLM_BASE_URL / LLM_PROVIDER）');
       return 'AI機能が設定されていません。管理者にお問い合わせください。';
     }
     
     const user = initializeUser(userId);
     const tone = user.settings.tone;
+    const safetyRule = isSafetyModeActive(user)
+      ? '\n- ユーザーは強いストレス下にある可能性がある。責めず、タスクを急かさず、必要なら相談窓口（#いのちSOS 0120-061-338 など）を勧める'
+      : '';
     
     // システムプロンプトを設定
     const systemPrompt = `あなたは「寺子屋タスクメンター」という辛口チャット型タスクメンターです。
@@ -118,35 +351,34 @@ ${JSON.stringify(context, null, 2)}
 - 人格攻撃・罵倒は禁止
 - 常に建設的で実用的なアドバイスを提供
 - タスク管理に焦点を当てる
-- ユーザーの成長を促す
+- これまでの会話、週ごとの達成率（pastWeeks）、繰り返す未達理由（recurringMissReasons）を踏まえて一貫した助言をする
+- ユーザーの成長を促す${safetyRule}
 
 ユーザーのメッセージに適切に応答してください。`;
 
-    console.log('OpenAI API呼び出し開始');
-    console.log('OpenAI APIキー確認:', process.env.OPENAI_API_KEY ? '設定済み' : '未設定');
+    console.log('LLM呼び出し開始:', { provider: llm.provider, model: llm.model });
     
-    const response = await Promise.race([
-      openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: message }
-        ],
-        max_tokens: 300,
-        temperature: 0.7
-      }),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('OpenAI API timeout')), 30000)
-      )
-    ]);
-
-    console.log('OpenAI API応答受信:', response.choices[0].message.content);
-    return response.choices[0].message.content;
+    const conversation = repo.getConversation(userId) || createConversation(userId);
+    const content = await llm.complete({
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...buildHistoryMessages(conversation),
+        { role: 'user', content: message }
+      ]
+    });
+
+    console.log('LLM応答受信:', content);
+    
+    // 応答できたやり取りだけ記憶し、古い発言は要約に回す
+    appendExchange(conversation, message, content);
+    await compactConversation(conversation, llm);
+    repo.saveConversation(conversation);
+    return content;
   } catch (error) {
-    console.error('AI応答生成エラー:', error);
-    console.error('エラー詳細:', error.message);
+    // 詳細はログのみに残し、ユーザーには分類済みのメッセージを返す
+    console.error('AI応答生成エラー:', error.code || '', error.message);
     console.error('エラースタック:', error.stack);
-    return `申し訳ありませんが、AI応答の生成に失敗しました。\n\nエラー: ${error.message}\n\n以下のコマンドを使用してください：\n\n• am: タスクA, タスクB, タスクC\n• pm: A=done, B=done, C=miss(理由)\n• /settings で設定メニュー\n• /help でヘルプ`;
+    return `${toUserMessage(error)}\n\n以下のコマンドを使用してください：\n\n• am: タスクA, タスクB, タスクC\n• pm: A=done, B=done, C=miss(理由)\n• /settings で設定メニュー\n• /help でヘルプ`;
   }
 }
 
@@ -176,26 +408,110 @@ function getFallbackResponse(message, tone) {
   return `${toneResponses[randomIndex]}\n\nコマンド:\n• am: タスクA, タスクB, タスクC\n• pm: A=done, B=done, C=miss(理由)\n• /settings で設定\n• /help でヘルプ`;
 }
 
+// 見出し付きの箇条書き（項目がなければ空文字）
+function formatSection(title, lines) {
+  return lines.length > 0 ? `\n\n${title}\n${lines.join('\n')}` : '';
+}
+
+// 空でない行だけの段落（なければ空文字）
+function formatParagraph(lines) {
+  const text = lines.filter(Boolean).join('\n');
+  return text ? `\n\n${text}` : '';
+}
+
+// 来週のタスク案の根拠
+const NEXT_WEEK_REASONS = {
+  retry: '今週の未達',
+  untouched_goal: '今週手つかずの目標',
+  continue: '継続'
+};
+
+// 週次レビューの締めの一言
+const WEEKLY_CLOSING = {
+  mild: '来週も頑張りましょう！',
+  sharp: '来週は改善が必要だ。',
+  dos: '来週は必ず改善せよ。'
+};
+
 // トーン別メッセージ生成
 function getToneMessage(tone, type, data = {}) {
+  const carriedTasks = data.carriedTasks || [];
+  const committedTasks = data.committedTasks || [];
+  const chronic = carriedTasks.filter(t => t.carryCount >= CHRONIC_CARRY_COUNT);
+  const carryOvers = data.carryOvers || [];
+  const escapeTasks = data.escapeTasks || [];
+  const vagueTasks = (data.vagueTasks || []).map(t => ({ ...t, line: `• ${t.name} → ${t.suggestion}（${t.issues.join('・')}）` }));
+  const nextWeekTasks = (data.nextWeekTasks || []).map((t, i) => ({ ...t, label: `${i + 1}. ${t.name}`, why: t.note || NEXT_WEEK_REASONS[t.reason] }));
+  // 連続記録（報告が途切れた日は全達成の途切れを重ねて言わない）
+  const streaks = data.streaks || null;
+  const reportedStreak = streaks ? streaks.reported.current : 0;
+  const completedStreak = streaks ? streaks.completed.current : 0;
+  const brokenReported = streaks ? streaks.reported.broken : 0;
+  const brokenCompleted = streaks && !brokenReported ? streaks.completed.broken : 0;
+  // Do-Sの段階（dos のときだけ渡される）
+  const escalation = data.escalation || null;
+  const maxTasks = escalation ? escalation.maxTasks : MAX_TASKS;
+  
   const messages = {
     mild: {
-      morning: 'おはようございます！今日の3つのタスクを教えてください。\n\n例: am: タスクA, タスクB, タスクC',
-      evening: 'お疲れ様でした！今日の結果はいかがでしたか？\n\n例: pm: A=done, B=done, C=miss(理由)',
-      weekly: `今週の振り返りです！\n\n達成率: ${data.completionRate}%\nアラインメント: ${data.alignment}\n\n来週も頑張りましょう！`,
-      help: 'コマンド一覧:\n• am: タスクA, タスクB, タスクC\n• pm: A=done, B=done, C=miss(理由)\n• /tone mild|sharp|dos\n• /time am HH:MM\n• /time pm HH:MM\n• /time weekly <曜日> HH:MM\n• /deadline HH:MM\n• /tz <IANA>\n• /help'
+      morning: `おはようございます！今日の3つのタスクを教えてください。${data.streakText || ''}${formatSection('昨日からの持ち越し:', carriedTasks.map(t => `• ${t.name}`))}${formatSection('何度も持ち越しています。小さく分けてみませんか？', chronic.map(t => `• ${t.name}（${t.carryCount}回目）`))}${formatSection('今週やると決めたタスク:', committedTasks.map(name => `• ${name}`))}\n\n例: am: タスクA, タスクB, タスクC`,
+      evening: `お疲れ様でした！今日の結果はいかがでしたか？${data.streakText || ''}\n\n例: pm: A=done, B=done, C=miss(理由)`,
+      reminder: `まだ今日の報告が届いていません。締切（${data.deadline}）までに結果を教えてください。${data.streakText || ''}\n\n例: pm: A=done, B=done, C=miss(理由)`,
+      weekly: `今週の振り返りです！\n\n達成率: ${data.completionRate}%\nアラインメント: ${data.alignment}${data.goalBreakdown}${data.streaksText}${data.escapeTasksText}${data.carryOversText}${data.nextWeekTasksText}\n\n${data.closing || WEEKLY_CLOSING.mild}`,
+      weeklyClosing: WEEKLY_CLOSING.mild,
+      streak: formatParagraph([
+        brokenReported && `昨日は報告がそろわず、${brokenReported}日続いた連続報告が途切れました。今日からまた積み上げましょう。`,
+        brokenCompleted && `全達成の連続（${brokenCompleted}日）は昨日で一区切り。今日また始めましょう。`,
+        reportedStreak > 0 && `🔥 報告 ${reportedStreak}日連続${completedStreak > 0 ? `・全達成 ${completedStreak}日連続` : ''}です。`
+      ]),
+      eveningStreak: formatParagraph([reportedStreak > 0 && `🔥 今日も報告すれば${reportedStreak + 1}日連続です。`]),
+      escapeTasks: formatSection('逃避しているかもしれないタスク:', escapeTasks.map(t => t.note ? `• ${t.name}: ${t.note}` : t.reason === 'substitute'
+        ? `• ${t.name}（目標タスクの代わりになっていませんか？）`
+        : `• ${t.name}（${t.total}回中${t.done}回完了。もう少し小さく区切ってみましょう）`)),
+      carryOvers: formatSection('持ち越しが続いたタスク:', carryOvers.map(t => `• ${t.name}（今週${t.carried}回持ち越し。着手の最初の一歩を決めておきましょう）`)),
+      nextWeekTasks: formatSection('来週の上位3タスク案:', nextWeekTasks.map(t => `${t.label}（${t.why}）`)),
+      vagueTasks: `少しぼんやりしたタスクがあります。こう書くと達成しやすくなります:\n${vagueTasks.map(t => t.line).join('\n')}\n\n書き直すなら am: でもう一度送ってください。大きいタスクは /split タスク名 で分けられます。`,
+      help: 'コマンド一覧:\n• am: タスクA, タスクB, タスクC\n• pm: A=done, B=done, C=miss(理由)\n  一部達成は partial(60%)、持ち越しは carry\n• /tone mild|sharp|dos\n• /time am HH:MM pm HH:MM weekly <曜日> HH:MM\n• /deadline HH:MM（20:00〜翌03:00）\n• /tz <IANA>\n• /history [日数]\n• /stats（連続記録）\n• /weekly（今週の振り返り）\n• /goal add|list|remove\n• /buddy invite|join|am|miss|nudge|leave（バディ）\n• /split タスク（3ステップに分解）\n• /reset（AIチャットの会話の記憶を消す）\n• /export（データのダウンロード）\n• /import <URL>（別環境から移行）\n• /forget（全データ削除）\n• /help'
     },
     sharp: {
-      morning: '朝だ。今日の3つは？\n\nam: タスクA, タスクB, タスクC',
-      evening: '結果は？\n\npm: A=done, B=done, C=miss(理由)',
-      weekly: `今週の実績\n\n達成率: ${data.completionRate}%\nアラインメント: ${data.alignment}\n\n来週は改善が必要だ。`,
-      help: 'コマンド:\nam: タスク宣言\npm: 結果報告\n/tone: トーン変更\n/time: 時刻設定\n/deadline: 締切設定\n/tz: タイムゾーン\n/help: ヘルプ'
+      morning: `朝だ。今日の3つは？${data.streakText || ''}${formatSection('持ち越し:', carriedTasks.map(t => `• ${t.name}`))}${formatSection('持ち越し常習。今日やるか捨てるか決めろ:', chronic.map(t => `• ${t.name}（${t.carryCount}回目）`))}${formatSection('今週のコミット（未完了）:', committedTasks.map(name => `• ${name}`))}\n\nam: タスクA, タスクB, タスクC`,
+      evening: `結果は？${data.streakText || ''}\n\npm: A=done, B=done, C=miss(理由)`,
+      reminder: `未報告だ。締切は${data.deadline}。過ぎたら未報告分はmissで集計する。${data.streakText || ''}\n\npm: A=done, B=done, C=miss(理由)`,
+      weekly: `今週の実績\n\n達成率: ${data.completionRate}%\nアラインメント: ${data.alignment}${data.goalBreakdown}${data.streaksText}${data.escapeTasksText}${data.carryOversText}${data.nextWeekTasksText}\n\n${data.closing || WEEKLY_CLOSING.sharp}`,
+      weeklyClosing: WEEKLY_CLOSING.sharp,
+      streak: formatParagraph([
+        brokenReported && `連続報告${brokenReported}日が昨日で途切れた。今日から再スタートだ。`,
+        brokenCompleted && `全達成${brokenCompleted}日連続は昨日で止まった。`,
+        reportedStreak > 0 && `連続報告 ${reportedStreak}日${completedStreak > 0 ? ` / 全達成 ${completedStreak}日` : ''}。`
+      ]),
+      eveningStreak: formatParagraph([reportedStreak > 0 && `報告すれば${reportedStreak + 1}日連続。`]),
+      escapeTasks: formatSection('逃避タスク:', escapeTasks.map(t => t.note ? `• ${t.name}: ${t.note}` : t.reason === 'substitute'
+        ? `• ${t.name}: 目標タスクを落とした日にだけ完了`
+        : `• ${t.name}: ${t.total}回宣言、完了${t.done}回`)),
+      carryOvers: formatSection('持ち越し常習:', carryOvers.map(t => `• ${t.name}: 今週${t.carried}回持ち越し`)),
+      nextWeekTasks: formatSection('来週の3つ:', nextWeekTasks.map(t => `${t.label}（${t.why}）`)),
+      vagueTasks: `曖昧なタスクがある。これではやったかどうか判定できない:\n${vagueTasks.map(t => t.line).join('\n')}\n\n書き直すなら am: で再送。大きいなら /split で分けろ。`,
+      help: 'コマンド:\nam: タスク宣言\npm: 結果報告\n/tone: トーン変更\n/time: 時刻設定\n/deadline: 締切設定\n/tz: タイムゾーン\n/history: 履歴\n/stats: 連続記録\n/weekly: 週次レビュー\n/goal: 目標管理\n/buddy: バディ\n/split: タスク分解\n/reset: 会話の記憶を消す\n/export: データのダウンロード\n/import: データの移行\n/forget: 全データ削除\n/help: ヘルプ'
     },
     dos: {
-      morning: '起きろ。今日の3つを決めろ。\n\nam: タスクA, タスクB, タスクC',
-      evening: '報告しろ。\n\npm: A=done, B=done, C=miss(理由)',
-      weekly: `今週の結果\n\n達成率: ${data.completionRate}%\nアラインメント: ${data.alignment}\n\n来週は必ず改善せよ。`,
-      help: 'コマンド一覧:\nam: タスク宣言\npm: 結果報告\n/tone: トーン変更\n/time: 時刻設定\n/deadline: 締切設定\n/tz: タイムゾーン\n/help: ヘルプ'
+      morning: `起きろ。今日の${maxTasks}つを決めろ。${formatParagraph([escalation && escalation.message])}${data.streakText || ''}${formatSection('持ち越し:', carriedTasks.map(t => `• ${t.name}`))}${formatSection('持ち越しは計画ではない。今日終わらなければ外せ:', chronic.map(t => `• ${t.name}（${t.carryCount}回目）`))}${formatSection('自分でやると言ったのにまだ終わっていない:', committedTasks.map(name => `• ${name}`))}\n\nam: ${['タスクA', 'タスクB', 'タスクC'].slice(0, maxTasks).join(', ')}`,
+      evening: `報告しろ。${data.streakText || ''}\n\npm: A=done, B=done, C=miss(理由)`,
+      reminder: `報告がない。${data.deadline}を過ぎたら全部missだ。今すぐ報告しろ。${data.streakText || ''}\n\npm: A=done, B=done, C=miss(理由)`,
+      weekly: `今週の結果\n\n達成率: ${data.completionRate}%\nアラインメント: ${data.alignment}${data.goalBreakdown}${data.streaksText}${data.escapeTasksText}${data.carryOversText}${data.nextWeekTasksText}\n\n${data.closing || WEEKLY_CLOSING.dos}`,
+      weeklyClosing: WEEKLY_CLOSING.dos,
+      streak: formatParagraph([
+        brokenReported && `${brokenReported}日続いた報告を昨日切らした。今日取り戻せ。`,
+        brokenCompleted && `全達成${brokenCompleted}日連続は昨日で終わった。記録は自分で積み直せ。`,
+        reportedStreak > 0 && `連続報告 ${reportedStreak}日。切らすな。`
+      ]),
+      eveningStreak: formatParagraph([reportedStreak > 0 && `報告しなければ${reportedStreak}日の連続が消える。`]),
+      escapeTasks: formatSection('逃避タスク（言い訳は不要）:', escapeTasks.map(t => t.note ? `• ${t.name}: ${t.note}` : t.reason === 'substitute'
+        ? `• ${t.name}: 目標から逃げた日の穴埋め。来週は目標タスクを先に終わらせろ`
+        : `• ${t.name}: ${t.total}回中${t.done}回。やるなら小さくしろ、やらないなら外せ`)),
+      carryOvers: formatSection('持ち越し常習（先送りは計画ではない）:', carryOvers.map(t => `• ${t.name}: 今週${t.carried}回。来週は初日に終わらせろ`)),
+      nextWeekTasks: formatSection('来週はこの3つをやれ:', nextWeekTasks.map(t => `${t.label}（${t.why}）`)),
+      vagueTasks: `「頑張る」は計画ではない。判定できる形に書き直せ:\n${vagueTasks.map(t => t.line).join('\n')}\n\nam: で今すぐ再送しろ。大きすぎるものは /split で割れ。`,
+      help: 'コマンド一覧:\nam: タスク宣言\npm: 結果報告\n/tone: トーン変更\n/time: 時刻設定\n/deadline: 締切設定\n/tz: タイムゾーン\n/history: 履歴\n/stats: 連続記録\n/weekly: 週次レビュー\n/goal: 目標管理\n/buddy: バディ\n/split: タスク分解\n/reset: 会話の記憶を消す\n/export: データのダウンロード\n/import: データの移行\n/forget: 全データ削除\n/help: ヘルプ'
     }
   };
   
@@ -205,92 +521,553 @@ function getToneMessage(tone, type, data = {}) {
 // 朝コミット処理
 function handleMorningCommit(userId, message) {
   const user = initializeUser(userId);
-  const tasks = message.replace(/^am:\s*/i, '').split(',').map(t => t.trim()).filter(t => t);
+  const { tasks, error } = parseMorningCommit(message);
+  
+  if (error) {
+    return `${error}\n\n例: am: タスクA, タスクB, タスクC`;
+  }
+  
+  rolloverUserDay(user);
+  // Do-Sは未達が続くと宣言できるタスクの数を絞る
+  const escalation = getDosEscalation(user, getUserProgress(user));
+  if (escalation && tasks.length > escalation.maxTasks) {
+    return `${escalation.message}\n\n今日は${escalation.maxTasks}つまでしか受け付けない。宣言し直せ。\n\n例: am: ${tasks.slice(0, escalation.maxTasks).join(', ')}`;
+  }
+  const now = moment().tz(user.settings.timezone);
+  const date = user.logicalDate;
+  const goals = repo.getGoals(userId);
+  const carried = getCarriedTasks(userId, date);
+  const day = repo.saveDay({
+    userId,
+    date,
+    tasks: tasks.map((task, index) => {
+      const carriedTask = carried.find(t => normalizeTaskName(t.name) === normalizeTaskName(task));
+      return {
+        id: `${index + 1}`,
+        name: task,
+        status: 'pending',
+        progress: null,
+        reason: null,
+        goalId: matchGoalByKeywords(task, goals),
+        carryCount: carriedTask ? carriedTask.carryCount : 0
+      };
+    }),
+    committedAt: now.format(),
+    reportedAt: null
+  });
+  user.currentDate = date;
+  user.lastAmReport = now.format();
+  repo.saveUser(user);
+  
+  if (process.env.GOAL_CLASSIFIER === 'llm' && llm) {
+    // 分類結果の書き込みは同じユーザーの他の処理と重ならないようキューで行う
+    userQueue.run(userId, () => classifyDayTasks(userId, date)).catch(error => {
+      console.error('目標分類エラー:', error.message);
+    });
+  }
+  
+  recordEvent(EVENT_TYPES.AM_COMMIT, user, { taskCount: day.tasks.length }, date);
+  shareWithBuddy(user, 'am', () => buildCommitmentNotice(day));
+  
+  const card = buildTaskCard(day, {
+    title: '了解しました。今日のタスクを記録しました。',
+    note: '終わったらボタンで報告してください（pm: A=done, B=miss(理由) でも可）。',
+    goals
+  });
+  
+  // 曖昧なタスクには書き換え案を添える（記録はそのまま）
+  const vagueTasks = findVagueTasks(tasks);
+  return vagueTasks.length > 0 ? [card, getToneMessage(user.settings.tone, 'vagueTasks', { vagueTasks })] : card;
+}
+
+// "A. タスク名" 形式の一覧
+function formatTaskList(tasks) {
+  return tasks.map(t => `${getTaskLetter(t)}. ${t.name}`).join('\n');
+}
+
+// タスクの結果を日別記録に反映（テキスト報告・タスクカードのボタン共通）
+function applyTaskResults(user, day, results) {
+  results.forEach(result => {
+    const task = day.tasks.find(t => t.id === result.taskId);
+    task.status = result.status;
+    task.progress = result.progress;
+    task.reason = result.reason;
+  });
+  
+  const now = moment().tz(user.settings.timezone).format();
+  day.reportedAt = now;
+  repo.saveDay(day);
+  recordEvent(EVENT_TYPES.PM_REPORT, user, { recorded: results.length }, day.date);
+  user.lastPmReport = now;
+  repo.saveUser(user);
+}
+
+// 未達理由の入力待ち状態（"awaiting_miss_reason:<日付>:<タスクID>"）
+const MISS_REASON_STATE = 'awaiting_miss_reason';
+const SKIP_REASON_WORDS = ['なし', 'スキップ', 'skip'];
+
+// タスクカードのボタン処理（task:2024-03-01:B:miss など。当日の論理日のカードだけ受け付ける）
+function handleTaskPostback(userId, { date, letter, status }) {
+  const user = initializeUser(userId);
+  rolloverUserDay(user);
+  if (!date) {
+    return '以前の形式のカードのボタンです。今日のタスクは最新のカードか pm: で報告してください。';
+  }
+  if (date !== user.logicalDate) {
+    return `${date}のカードのボタンです。締めた日の記録は変えられません。今日のタスクは最新のカードか pm: で報告してください。`;
+  }
+  const day = getReportableDay(user);
+  const task = day && day.tasks.find(t => getTaskLetter(t) === letter);
   
-  if (tasks.length === 0 || tasks.length > 3) {
-    return 'タスクは1〜3個で入力してください。\n\n例: am: タスクA, タスクB, タスクC';
+  if (!task) {
+    return 'このタスクは見つかりませんでした。朝に宣言したタスクを確認してください。\n\n例: am: タスクA, タスクB, タスクC';
   }
   
-  user.currentTasks = tasks.map((task, index) => ({
-    id: `${index + 1}`,
-    name: task,
-    status: 'pending',
+  applyTaskResults(user, day, [{
+    taskId: task.id,
+    status,
+    progress: status === 'partial' ? DEFAULT_PARTIAL_PROGRESS : null,
     reason: null
-  }));
-  user.lastAmReport = moment().tz(user.settings.timezone).format();
+  }]);
+  
+  if (status === 'miss') {
+    setUserState(userId, `${MISS_REASON_STATE}:${day.date}:${task.id}`);
+    return `${letter}. ${task.name} を未達で記録しました。\n理由を一言で送ってください（省略する場合は「なし」）。`;
+  }
+  
+  const note = status === 'partial'
+    ? `進捗は${DEFAULT_PARTIAL_PROGRESS}%で記録しました。変える場合は pm: ${letter}=partial(60%) のように送ってください。`
+    : null;
+  return buildTaskCard(day, {
+    title: `${letter}. ${task.name} を${STATUS_LABELS[status]}で記録しました。`,
+    note,
+    goals: repo.getGoals(userId)
+  });
+}
+
+// 未達理由の入力（スキップ語なら理由なしのまま）
+function handleMissReasonInput(userId, state, message) {
+  const [, date, taskId] = state.split(':');
+  const day = repo.getDay(userId, date);
+  const task = day && day.tasks.find(t => t.id === taskId);
+  clearUserState(userId);
   
-  return `了解しました。今日のタスクを記録しました。\n\n${tasks.map((t, i) => `${i + 1}. ${t}`).join('\n')}\n\n夜に結果を報告してください。`;
+  if (!task || task.status !== 'miss') {
+    return '対象のタスクが見つかりませんでした。pm: B=miss(理由) の形式で送ってください。';
+  }
+  if (day.closedAt) {
+    return `${date}のタスクは締切を過ぎて締めたので、理由は記録しませんでした。`;
+  }
+  
+  const reason = message.trim();
+  if (SKIP_REASON_WORDS.includes(reason.toLowerCase())) {
+    return buildTaskCard(day, { title: '理由なしで記録しました。', goals: repo.getGoals(userId) });
+  }
+  
+  task.reason = reason;
+  repo.saveDay(day);
+  return buildTaskCard(day, { title: `理由を記録しました: ${reason}`, goals: repo.getGoals(userId) });
 }
 
 // 夜レポート処理
 function handleEveningReport(userId, message) {
   const user = initializeUser(userId);
+  rolloverUserDay(user);
+  const day = getReportableDay(user);
   
-  if (user.currentTasks.length === 0) {
-    return 'まず朝にタスクを宣言してください。\n\n例: am: タスクA, タスクB, タスクC';
+  if (!day) {
+    return getUnreportableMessage(user);
   }
   
-  const reportPattern = /^pm:\s*(.+)$/i;
-  const match = message.match(reportPattern);
+  const currentTasks = day.tasks;
+  const { results, unparsed } = parseEveningReport(message, currentTasks);
+  const unparsedText = unparsed.length > 0
+    ? `\n\n⚠️ 読み取れなかった部分（記録していません）:\n${unparsed.map(f => `• ${f}`).join('\n')}`
+    : '';
   
-  if (!match) {
-    return '正しい形式で報告してください。\n\n例: pm: A=done, B=done, C=miss(理由)';
+  if (results.length === 0) {
+    return `報告を読み取れませんでした。${unparsedText}\n\n例: pm: A=done, B=完了, C=×(理由)\n今日のタスク:\n${formatTaskList(currentTasks)}`;
   }
   
-  const reports = match[1].split(',').map(r => r.trim());
-  const results = {};
+  applyTaskResults(user, day, results);
+  
+  const completed = currentTasks.filter(t => t.status === 'done').length;
+  const total = currentTasks.length;
+  const partial = currentTasks.filter(t => t.status === 'partial').length;
+  const carry = currentTasks.filter(t => t.status === 'carry').length;
+  const detailText = partial + carry > 0
+    ? `（${[partial > 0 && `一部達成${partial}`, carry > 0 && `持ち越し${carry}`].filter(Boolean).join('・')}）`
+    : '';
+  const pending = currentTasks.filter(t => t.status === 'pending');
+  const pendingText = pending.length > 0 ? `\n\n未報告:\n${formatTaskList(pending)}` : '';
+  const streakText = isFullyReported(day) ? formatParagraph([formatStreakLine(getUserProgress(user).streaks)]) : '';
   
-  for (const report of reports) {
-    const taskMatch = report.match(/^([ABC])\s*=\s*(done|miss)(?:\s*\((.+)\))?$/i);
-    if (taskMatch) {
-      const [, taskId, status, reason] = taskMatch;
-      results[taskId.toUpperCase()] = { status, reason };
+  return `報告を受け付けました。\n\n完了: ${completed}/${total}タスク${detailText}${pendingText}${unparsedText}${streakText}\n\nお疲れ様でした！`;
+}
+
+// 週次レビュー生成（Flexのカード。altText にテキスト版を入れる）
+// WEEKLY_AUDIT=llm の場合はLLMの監査結果を使い、使えなければテンプレートに戻す
+// 週（保存のキー・ボタンのpostback）と集計範囲は now で決める（定期配信では予定時刻）
+async function generateWeeklyReview(userId, now = moment()) {
+  const user = initializeUser(userId);
+  const range = getDateRange(user.settings.timezone, 7, now);
+  const days = repo.listDays(userId, range.from, range.to);
+  const stats = summarizeDays(days);
+  
+  const goals = repo.getGoals(userId);
+  const completionRate = getCompletionRate(stats);
+  const { alignment, breakdown } = computeAlignment(days.flatMap(day => day.tasks), goals);
+  const analysis = analyzeWeek(days, goals);
+  const tone = user.settings.tone;
+  
+  const audit = process.env.WEEKLY_AUDIT === 'llm' && llm
+    ? await runWeeklyAudit(llm, {
+      tone,
+      days,
+      goals,
+      facts: { completionRate, alignment },
+      candidates: analysis
+    })
+    : null;
+  // LLMの監査では根拠の文章を note に持たせる
+  const escapeTasks = audit ? audit.escapeTasks.map(t => ({ name: t.name, reason: 'audit', note: t.reason })) : analysis.escapeTasks;
+  const nextWeekTasks = audit ? audit.nextWeekTasks.map(t => ({ name: t.name, reason: 'audit', note: t.reason })) : analysis.nextWeekTasks;
+  const { carryOvers, mostMissed } = analysis;
+  const closing = audit ? audit.verdict : getToneMessage(tone, 'weeklyClosing');
+  const progress = getUserProgress(user);
+  const escalation = getDosEscalation(user, progress);
+  
+  // 週次レビューを記録
+  const week = getWeekKey(user.settings.timezone, now);
+  repo.saveWeeklyReport(userId, week, {
+    ...stats,
+    completionRate,
+    alignment,
+    goalBreakdown: breakdown,
+    escapeTasks,
+    nextWeekTasks,
+    carryOvers,
+    mostMissed,
+    streaks: progress.streaks,
+    escalation: escalation && { stage: escalation.stage, missDays: escalation.missDays },
+    verdict: closing,
+    source: audit ? 'llm' : 'template',
+    createdAt: moment().tz(user.settings.timezone).format()
+  });
+  
+  const escapeTasksText = getToneMessage(tone, 'escapeTasks', { escapeTasks });
+  const carryOversText = getToneMessage(tone, 'carryOvers', { carryOvers });
+  const streaksText = `\n\n連続記録:\n${formatStreakSummary(progress.streaks, escalation)}`;
+  const text = getToneMessage(tone, 'weekly', {
+    completionRate,
+    alignment: alignment === null ? '未計測（/goal add で目標を登録）' : alignment.toFixed(2),
+    goalBreakdown: breakdown.length > 0 ? `\n\n目標別:\n${formatGoalBreakdown(breakdown)}` : '',
+    streaksText,
+    escapeTasksText,
+    carryOversText,
+    nextWeekTasksText: getToneMessage(tone, 'nextWeekTasks', { nextWeekTasks }),
+    closing
+  });
+  return buildWeeklyReviewCard(
+    { week, range, days, completionRate, alignment, mostMissed, nextWeekTasks },
+    {
+      title: '今週の振り返り',
+      closingLine: closing,
+      altText: text,
+      notes: [streaksText.trim(), escapeTasksText.trim(), carryOversText.trim()]
     }
+  );
+}
+
+// 週次レビューで来週やると決めたタスク（コミットから7日間有効）
+const WEEKLY_COMMITMENT_DAYS = 7;
+
+function getActiveCommitment(user, now = moment()) {
+  const commitment = user.weeklyCommitment;
+  return commitment && moment(now).isBefore(commitment.until) ? commitment : null;
+}
+
+// コミットしたタスクのうち、コミット以降にまだ完了していないもの
+function getCommittedTasks(user, now = moment()) {
+  const commitment = getActiveCommitment(user, now);
+  if (!commitment) {
+    return [];
+  }
+  const from = moment.parseZone(commitment.committedAt).format('YYYY-MM-DD');
+  const to = getLogicalDate(user.settings, now);
+  const done = repo.listDays(user.id, from, to)
+    .flatMap(day => day.tasks)
+    .filter(t => t.status === 'done')
+    .map(t => normalizeTaskName(t.name));
+  return commitment.tasks.filter(name => !done.includes(normalizeTaskName(name)));
+}
+
+// 週次レビューのボタン処理（weekly:commit:<週>:<番号|all>）
+function handleWeeklyCommit(userId, { week, index }) {
+  const user = initializeUser(userId);
+  const report = repo.getWeeklyReport(userId, week);
+  const proposals = report ? report.nextWeekTasks : [];
+  const selected = index === 'all' ? proposals : proposals.slice(index - 1, index);
+  
+  if (selected.length === 0) {
+    return 'この週次レビューのタスク案は見つかりませんでした。';
   }
   
-  // タスクの結果を更新
-  user.currentTasks.forEach(task => {
-    const taskId = String.fromCharCode(64 + parseInt(task.id)); // A, B, C
-    if (results[taskId]) {
-      task.status = results[taskId].status;
-      task.reason = results[taskId].reason;
+  // 同じレビューから続けて選んだ場合は追加する
+  const now = moment().tz(user.settings.timezone);
+  const current = getActiveCommitment(user, now);
+  const tasks = current && current.week === week ? [...current.tasks] : [];
+  selected.forEach(t => {
+    if (!tasks.some(name => normalizeTaskName(name) === normalizeTaskName(t.name))) {
+      tasks.push(t.name);
     }
   });
   
-  user.lastPmReport = moment().tz(user.settings.timezone).format();
-  
-  // 週次統計を更新
-  user.weeklyStats.totalTasks += user.currentTasks.length;
-  user.weeklyStats.completedTasks += user.currentTasks.filter(t => t.status === 'done').length;
-  user.weeklyStats.missedTasks += user.currentTasks.filter(t => t.status === 'miss').length;
+  user.weeklyCommitment = {
+    week,
+    tasks: tasks.slice(0, MAX_TASKS),
+    committedAt: now.format(),
+    until: now.clone().add(WEEKLY_COMMITMENT_DAYS, 'days').format()
+  };
+  repo.saveUser(user);
   
-  const completed = user.currentTasks.filter(t => t.status === 'done').length;
-  const total = user.currentTasks.length;
+  return `来週やるタスクとして登録しました。\n\n${user.weeklyCommitment.tasks.map(name => `• ${name}`).join('\n')}\n\n終わるまで毎朝の通知で表示し、amの入力欄にも入れておきます。`;
+}
+
+// 連続記録と達成率（/stats）
+function showStats(userId) {
+  const user = initializeUser(userId);
+  rolloverUserDay(user);
+  const progress = getUserProgress(user);
+  const week = getWeeklySummary(user);
+  const total = summarizeDays(progress.days);
+  return [
+    `📈 これまでの記録（${progress.today}時点）`,
+    '',
+    formatStreakSummary(progress.streaks, getDosEscalation(user, progress)),
+    `• 直近7日の達成率: ${getCompletionRate(week)}%（${week.completedTasks}/${week.totalTasks}タスク）`,
+    `• 累計: 宣言${total.days}日・達成率 ${getCompletionRate(total)}%`
+  ].join('\n');
+}
+
+// 履歴表示
+function showHistory(userId, days) {
+  const user = initializeUser(userId);
+  const range = getDateRange(user.settings.timezone, days);
+  return formatHistory(repo.listDays(userId, range.from, range.to), range);
+}
+
+// 目標コマンド処理（/goal add|list|remove）
+function handleGoalCommand(userId, args) {
+  const goals = repo.getGoals(userId);
+  const subcommand = args[0];
+  const rest = args.slice(1).join(' ');
   
-  return `報告を受け付けました。\n\n完了: ${completed}/${total}タスク\n\nお疲れ様でした！`;
+  switch (subcommand) {
+    case 'add': {
+      const input = parseGoalInput(rest);
+      if (!input) {
+        return '使用例: /goal add 英語力を上げる: 英語, TOEIC';
+      }
+      if (goals.length >= MAX_GOALS) {
+        return `目標は最大${MAX_GOALS}個までです。/goal remove <番号> で整理してください。`;
+      }
+      const user = initializeUser(userId);
+      const goal = createGoal(goals, input, getLastGoalNumber(user, repo.listAllDays(userId)));
+      repo.saveGoals(userId, [...goals, goal]);
+      user.lastGoalNumber = getGoalNumber(goal.id);
+      repo.saveUser(user);
+      return `目標「${goal.name}」を登録しました。\nキーワード: ${goal.keywords.join(', ')}`;
+    }
+      
+    case 'list':
+    case undefined:
+      return formatGoalList(goals);
+      
+    case 'remove': {
+      const index = parseInt(rest, 10) - 1;
+      if (!Number.isInteger(index) || !goals[index]) {
+        return `削除する目標の番号を指定してください。\n\n${formatGoalList(goals)}`;
+      }
+      const [removed] = goals.splice(index, 1);
+      repo.saveGoals(userId, goals);
+      return `目標「${removed.name}」を削除しました。`;
+    }
+      
+    default:
+      return '使用例: /goal add 目標名: キーワード1, キーワード2 / /goal list / /goal remove 1';
+  }
+}
+
+// バディの相手（相手が削除済み・解消済みなら null）
+function getBuddyPartner(user) {
+  if (!user.buddy) {
+    return null;
+  }
+  const partner = repo.getUser(user.buddy.userId);
+  return partner && partner.buddy && partner.buddy.userId === user.id ? partner : null;
+}
+
+// バディへの通知（相手が通知を受け取れない状態なら送らない）
+function notifyBuddy(partner, content) {
+  if (partner.unfollowedAt || !canSchedulePush(partner)) {
+    return null;
+  }
+  return sendMessage(partner.id, content);
 }
 
-// 週次レビュー生成
-function generateWeeklyReview(userId) {
+// ペアの解消（片方から解消すれば両方とも外れる）
+function unpairBuddy(user) {
+  const partner = getBuddyPartner(user);
+  delete user.buddy;
+  repo.saveUser(user);
+  if (partner) {
+    delete partner.buddy;
+    repo.saveUser(partner);
+    notifyBuddy(partner, 'バディがペアを解消しました。また組むときは /buddy invite で招待コードを発行してください。');
+  }
+  return partner;
+}
+
+function handleBuddyCommand(userId, args) {
   const user = initializeUser(userId);
-  const stats = user.weeklyStats;
+  const partner = getBuddyPartner(user);
+  const subcommand = (args[0] || '').toLowerCase();
+  
+  switch (subcommand) {
+    case '':
+    case 'status':
+      return formatBuddyStatus(partner ? user.buddy : null, user.settings.timezone);
+      
+    case 'invite': {
+      if (partner) {
+        return 'すでにバディがいます。別の人と組む場合は /buddy leave で解消してください。';
+      }
+      const now = moment();
+      const invite = repo.saveBuddyInvite({
+        code: createInviteCode(),
+        userId,
+        createdAt: now.toISOString(),
+        expiresAt: now.clone().add(INVITE_TTL_HOURS, 'hours').toISOString()
+      });
+      return `招待コード: ${invite.code}\n\n相手にこのトークで「/buddy join ${invite.code}」と送ってもらってください（${INVITE_TTL_HOURS}時間・1回だけ有効）。\n前に発行したコードは使えなくなります。`;
+    }
+      
+    case 'join':
+      return joinBuddy(user, partner, normalizeInviteCode(args.slice(1).join('')));
+      
+    case 'am':
+    case 'miss': {
+      if (!partner) {
+        return formatBuddyStatus(null, user.settings.timezone);
+      }
+      const value = (args[1] || '').toLowerCase();
+      if (!['on', 'off'].includes(value)) {
+        return `使用例: /buddy ${subcommand} on`;
+      }
+      user.buddy.watch[subcommand] = value === 'on';
+      repo.saveUser(user);
+      return formatWatchChange(subcommand, value === 'on');
+    }
+      
+    case 'nudge':
+      return nudgeBuddy(user, partner);
+      
+    case 'leave':
+      if (!partner) {
+        return 'バディはいません。';
+      }
+      unpairBuddy(user);
+      return 'バディとのペアを解消しました。';
+      
+    default:
+      return BUDDY_USAGE;
+  }
+}
+
+// 招待コードでペアになる（コードは使ったら消す）
+function joinBuddy(user, partner, code) {
+  if (!code) {
+    return '使用例: /buddy join ABC234';
+  }
+  if (partner) {
+    return 'すでにバディがいます。別の人と組む場合は /buddy leave で解消してください。';
+  }
+  const invite = repo.getBuddyInvite(code);
+  if (!invite || moment().isAfter(invite.expiresAt)) {
+    if (invite) {
+      repo.deleteBuddyInvite(code);
+    }
+    return '招待コードが見つからないか、有効期限が切れています。相手に /buddy invite で発行し直してもらってください。';
+  }
+  if (invite.userId === user.id) {
+    return '自分の招待コードは使えません。相手に「/buddy join <コード>」と送ってもらってください。';
+  }
+  const inviter = repo.getUser(invite.userId);
+  repo.deleteBuddyInvite(code);
+  if (!inviter || getBuddyPartner(inviter)) {
+    return 'この招待コードは使えなくなっています。相手に /buddy invite で発行し直してもらってください。';
+  }
   
-  const completionRate = stats.totalTasks > 0 ? Math.round((stats.completedTasks / stats.totalTasks) * 100) : 0;
-  const alignment = stats.alignment;
+  const pairedAt = moment().toISOString();
+  const createBuddy = userId => ({ userId, pairedAt, watch: { am: false, miss: false }, nudges: null });
+  user.buddy = createBuddy(inviter.id);
+  inviter.buddy = createBuddy(user.id);
+  repo.saveUser(user);
+  repo.saveUser(inviter);
   
-  // 週次統計をリセット
-  user.weeklyStats = {
-    totalTasks: 0,
-    completedTasks: 0,
-    missedTasks: 0,
-    alignment: 0.5
-  };
-  user.currentTasks = [];
+  const guide = `相手の記録を見るかどうかは自分で選べます（既定はオフ）。\n• /buddy am on … 相手の朝の宣言を見る\n• /buddy miss on … 相手の締切後の未達を知らせてもらう`;
+  notifyBuddy(inviter, `🤝 招待コードが使われ、バディとペアになりました！\n\n${guide}`);
+  return `🤝 バディとペアになりました！\n\n${guide}`;
+}
+
+// 相手に応援を送る（自分の論理日ごとに回数を数える）
+function nudgeBuddy(user, partner) {
+  if (!partner) {
+    return formatBuddyStatus(null, user.settings.timezone);
+  }
+  const date = getLogicalDate(user.settings);
+  const nudges = user.buddy.nudges && user.buddy.nudges.date === date ? user.buddy.nudges : { date, count: 0 };
+  if (nudges.count >= MAX_NUDGES_PER_DAY) {
+    return `応援は1日${MAX_NUDGES_PER_DAY}回までです。また明日送ってください。`;
+  }
+  if (!notifyBuddy(partner, NUDGE_MESSAGE)) {
+    return '相手は今、通知を受け取れない状態です。時間をおいて送ってください。';
+  }
+  user.buddy.nudges = { date, count: nudges.count + 1 };
+  repo.saveUser(user);
+  return `📣 バディに応援を送りました（今日 ${user.buddy.nudges.count}/${MAX_NUDGES_PER_DAY}回）。`;
+}
+
+// バディへの共有（相手が見ると決めたものだけ。自分がセーフティモード中は共有しない）
+function shareWithBuddy(user, watch, buildNotice) {
+  const partner = getBuddyPartner(user);
+  if (!partner || !partner.buddy.watch[watch] || isSafetyModeActive(user)) {
+    return;
+  }
+  notifyBuddy(partner, buildNotice());
+}
+
+// 設定メニューの入力待ち状態 → 設定キー
+const SETTING_STATES = {
+  awaiting_am_time: 'am',
+  awaiting_pm_time: 'pm',
+  awaiting_weekly_time: 'weekly',
+  awaiting_deadline: 'deadline',
+  awaiting_tz: 'tz'
+};
+
+// 設定の適用（1つでも不正な値があれば何も変更しない）
+function applySettings(userId, text, defaultKey = null) {
+  const { changes, errors } = parseSettings(text, defaultKey);
   
-  return getToneMessage(user.settings.tone, 'weekly', {
-    completionRate,
-    alignment
-  });
+  if (errors.length > 0) {
+    return { ok: false, message: `${errors.join('\n')}\n\n${SETTINGS_USAGE}` };
+  }
+  
+  const user = updateUserSettings(userId, changes);
+  clearUserState(userId);
+  return { ok: true, message: `設定を更新しました。\n\n${formatSchedule(user.settings)}` };
 }
 
 // 設定メニュー表示
@@ -298,7 +1075,7 @@ function showSettingsMenu(userId) {
   const user = initializeUser(userId);
   return {
     type: 'text',
-    text: '設定メニューを開きました。変更したい項目を選んでください。',
+    text: `設定メニューを開きました。変更したい項目を選んでください。\n\n${formatSchedule(user.settings)}`,
     quickReply: {
       items: [
         {
@@ -362,65 +1139,195 @@ function handleCommand(userId, command) {
   switch (parts[0]) {
     case '/tone':
       if (['mild', 'sharp', 'dos'].includes(parts[1])) {
-        user.settings.tone = parts[1];
         clearUserState(userId);
-        return `トーンを${parts[1]}に変更しました。`;
+        return changeTone(userId, parts[1]);
       }
       return '使用可能なトーン: mild, sharp, dos';
       
     case '/time':
-      if (parts[1] === 'am' && parts[2]) {
-        user.settings.amTime = parts[2];
-        clearUserState(userId);
-        return `朝の通知時刻を${parts[2]}に設定しました。`;
-      } else if (parts[1] === 'pm' && parts[2]) {
-        user.settings.pmTime = parts[2];
-        clearUserState(userId);
-        return `夜の通知時刻を${parts[2]}に設定しました。`;
-      } else if (parts[1] === 'weekly' && parts[2] && parts[3]) {
-        user.settings.weeklyDay = parts[2];
-        user.settings.weeklyTime = parts[3];
-        clearUserState(userId);
-        return `週次レビューを${parts[2]} ${parts[3]}に設定しました。`;
-      }
-      return '使用例: /time am 07:30, /time pm 21:30, /time weekly Sun 19:00';
-      
     case '/deadline':
-      if (parts[1]) {
-        user.settings.deadline = parts[1];
-        clearUserState(userId);
-        return `締切時刻を${parts[1]}に設定しました。`;
-      }
-      return '使用例: /deadline 23:30';
-      
     case '/tz':
-      if (parts[1]) {
-        user.settings.timezone = parts[1];
-        clearUserState(userId);
-        return `タイムゾーンを${parts[1]}に設定しました。`;
+      return applySettings(userId, command).message;
+      
+    case '/history': {
+      const days = parts[1] ? parseInt(parts[1], 10) : 7;
+      if (!Number.isInteger(days) || days < 1 || days > 30) {
+        return '日数は1〜30で指定してください。\n\n例: /history 7';
       }
-      return '使用例: /tz Asia/Tokyo';
+      return showHistory(userId, days);
+    }
+      
+    case '/goal':
+      return handleGoalCommand(userId, parts.slice(1));
+      
+    case '/stats':
+      return showStats(userId);
+      
+    case '/weekly':
+      return generateWeeklyReview(userId);
+      
+    case '/buddy':
+      return handleBuddyCommand(userId, parts.slice(1));
       
     case '/help':
-      return getToneMessage(user.settings.tone, 'help');
+      return `${getToneMessage(user.settings.tone, 'help')}\n\n${formatSchedule(user.settings)}`;
       
     case '/settings':
       return showSettingsMenu(userId);
       
+    case '/split':
+      return handleSplitCommand(userId, parts.slice(1).join(' '));
+      
+    case '/reset':
+      repo.deleteConversation(userId);
+      return '会話の記憶をリセットしました。タスクの記録と設定はそのままです。';
+      
+    case '/export':
+      return handleExportCommand(userId);
+      
+    case '/import':
+      return handleImportCommand(user, parts.slice(1).join(' ').trim());
+      
+    case '/forget':
+      setUserState(userId, FORGET_STATE);
+      return {
+        text: 'タスク履歴・目標・週次レビュー・設定・会話の記憶など、このアカウントのデータをすべて削除します。元に戻せません。\n\n必要なら先に /export でダウンロードしてください。\n削除する場合は「削除する」と送ってください。',
+        quickReply: {
+          items: [FORGET_CONFIRM_WORD, 'やめる'].map(label => ({
+            type: 'action',
+            action: { type: 'message', label, text: label }
+          }))
+        }
+      };
+      
     default:
       return '不明なコマンドです。 /help でコマンド一覧を確認してください。';
   }
 }
 
+// タスク分解（/split <タスク>）。分解したステップをそのまま am: で宣言できるQuick Replyを付ける
+async function handleSplitCommand(userId, task) {
+  if (!task.trim()) {
+    return '使用例: /split 企画書を仕上げる';
+  }
+  
+  const { steps } = await splitTask(task.trim(), process.env.TASK_ASSIST === 'llm' ? llm : null);
+  const amText = `am: ${steps.join(', ')}`;
+  return {
+    text: `「${task.trim()}」を${steps.length}つに分けました。\n\n${steps.map((step, i) => `${i + 1}. ${step}`).join('\n')}\n\nこのまま宣言するなら下の「この手順で宣言」を押してください。`,
+    quickReply: {
+      items: [
+        {
+          type: 'action',
+          action: {
+            type: 'message',
+            label: 'この手順で宣言',
+            text: amText
+          }
+        },
+        ...getQuickReplyItems().slice(1)
+      ]
+    }
+  };
+}
+
+// エクスポートURLの有効期限（分）と署名鍵・公開URL
+const EXPORT_URL_TTL_MINUTES = parseInt(process.env.EXPORT_URL_TTL_MINUTES || '15', 10);
+const FORGET_STATE = 'awaiting_forget';
+const FORGET_CONFIRM_WORD = '削除する';
+// インポートで読み込むJSONの上限
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const IMPORT_TIMEOUT_MS = 10000;
+
+function getExportSecret() {
+  return process.env.EXPORT_SECRET || process.env.LINE_CHANNEL_SECRET;
+}
+
+function getPublicBaseUrl() {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+  }
+  return process.env.WEBHOOK_URL ? new URL(process.env.WEBHOOK_URL).origin : null;
+}
+
+// データのエクスポート（/export）。JSONとCSVの短時間だけ有効な署名付きURLを返す
+function handleExportCommand(userId) {
+  const secret = getExportSecret();
+  const baseUrl = getPublicBaseUrl();
+  if (!secret || !baseUrl) {
+    console.error('EXPORT_SECRET（またはLINE_CHANNEL_SECRET）とPUBLIC_BASE_URLを設定してください');
+    return 'エクスポートの設定が完了していません。管理者にお問い合わせください。';
+  }
+  
+  const token = createDownloadToken(userId, secret, { ttlMinutes: EXPORT_URL_TTL_MINUTES });
+  return `あなたのデータをダウンロードできます（${EXPORT_URL_TTL_MINUTES}分間有効）。\n\nJSON（全データ・/import 用）:\n${baseUrl}/export/${token}\n\nCSV（タスク履歴）:\n${baseUrl}/export/${token}?format=csv\n\nURLを知っている人は誰でもダウンロードできるので、共有しないでください。`;
+}
+
+// 許可されたホストのURLか（IMPORT_ALLOWED_HOSTS はカンマ区切りの host[:port]）
+function isAllowedImportUrl(text) {
+  const allowed = (process.env.IMPORT_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(host => host);
+  try {
+    const url = new URL(text);
+    return ['https:', 'http:'].includes(url.protocol) && allowed.includes(url.host);
+  } catch (error) {
+    return false;
+  }
+}
+
+// 別環境のエクスポートJSONを取り込む（/import <移行元の /export のURL>）
+async function handleImportCommand(user, url) {
+  if (!url) {
+    return '移行元で /export を実行し、JSONのURLを送ってください。\n\n例: /import https://example.com/export/xxxx';
+  }
+  if (!isAllowedImportUrl(url)) {
+    return 'このURLからはインポートできません。移行元のサーバーを IMPORT_ALLOWED_HOSTS に登録するよう管理者にお問い合わせください。';
+  }
+  
+  let data;
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(IMPORT_TIMEOUT_MS), redirect: 'error' });
+    if (!response.ok) {
+      return response.status === 410 ? 'URLの有効期限が切れています。移行元でもう一度 /export してください。' : `データを取得できませんでした（${response.status}）。`;
+    }
+    const body = await response.text();
+    if (Buffer.byteLength(body) > MAX_IMPORT_BYTES) {
+      return 'データが大きすぎるためインポートできません。';
+    }
+    data = JSON.parse(body);
+  } catch (error) {
+    console.error('インポート取得エラー:', error.message);
+    return 'データを取得できませんでした。URLを確認してもう一度お試しください。';
+  }
+  
+  const error = validateImport(data);
+  if (error) {
+    return `インポートできませんでした: ${error}`;
+  }
+  
+  const result = importUserData(repo, user, data);
+  return `インポートしました。\n\n• タスク履歴: ${result.days}日分\n• 週次レビュー: ${result.weeklyReports}件\n• 目標: ${result.goals}件\n\nすでに記録がある日・週は上書きしていません。\n\n${formatSchedule(user.settings)}`;
+}
+
+// 全データの削除（/forget の確認後）
+function forgetUser(userId) {
+  const user = repo.getUser(userId);
+  if (user) {
+    unpairBuddy(user);
+  }
+  const removed = repo.purgeUser(userId);
+  console.log('ユーザーデータを削除しました:', removed);
+  return 'このアカウントのデータをすべて削除しました。また使うときは am: でタスクを宣言してください。';
+}
+
 // Quick Reply生成
-function getQuickReplyItems() {
+function getQuickReplyItems(amText = 'am: ') {
   return [
     {
       type: 'action',
       action: {
         type: 'message',
         label: 'am',
-        text: 'am: '
+        text: amText
       }
     },
     {
@@ -442,239 +1349,561 @@ function getQuickReplyItems() {
   ];
 }
 
-// メッセージ送信
-async function sendMessage(userId, text, useQuickReply = false) {
+// 送信内容（テキスト・Flexなどのメッセージオブジェクト・それらの配列）をLINEのメッセージ配列にする
+// Quick Replyは最後のメッセージに付ける
+function toLineMessages(content, useQuickReply = false, customQuickReply = null) {
+  const messages = (Array.isArray(content) ? content : [content])
+    .map(item => (typeof item === 'string' ? { type: 'text', text: item } : { ...item }));
+  
+  if (useQuickReply) {
+    messages[messages.length - 1].quickReply = customQuickReply || { items: getQuickReplyItems() };
+  }
+  return messages;
+}
+
+// ログ用の短い要約
+function summarizeContent(content) {
+  const text = (Array.isArray(content) ? content : [content])
+    .map(item => (typeof item === 'string' ? item : item.altText || item.text || `[${item.type}]`))
+    .join(' / ');
+  return text.substring(0, 100) + '...';
+}
+
+// 再試行しても送れなかったメッセージを記録（運営が /admin/dead-letters で確認する）
+function recordDeadLetter(kind, to, messages, response) {
+  console.error('送信できなかったメッセージを記録:', { kind, to, status: response.status, attempts: response.attempts });
+  repo.saveDeadLetter({
+    id: crypto.randomUUID(),
+    kind,
+    userId: kind === 'push' ? to : null,
+    to,
+    messages,
+    status: response.status,
+    statusText: response.statusText,
+    body: typeof response.body === 'string' ? response.body : JSON.stringify(response.body),
+    attempts: response.attempts,
+    failedAt: new Date().toISOString()
+  });
+}
+
+// メッセージ送信（再試行しても送れなければ dead letter に残す。届いたかどうかを返す）
+async function sendMessage(userId, content, useQuickReply = false, customQuickReply = null) {
   try {
-    console.log('メッセージ送信開始:', { userId, text: text.substring(0, 100) + '...', useQuickReply });
-    
-    if (!process.env.LINE_CHANNEL_ACCESS_TOKEN) {
-      console.error('LINE_CHANNEL_ACCESS_TOKENが設定されていません');
-      return;
-    }
-    
-    const message = {
-      to: userId,
-      messages: [{
-        type: 'text',
-        text: text
-      }]
-    };
+    const transport = selectTransport(transports, userId);
+    console.log('メッセージ送信開始:', { userId, text: summarizeContent(content), useQuickReply, transport: transport && transport.name });
     
-    if (useQuickReply) {
-      message.messages[0].quickReply = {
-        items: getQuickReplyItems()
-      };
+    if (!transport || !transport.configured) {
+      console.error('送信先が設定されていません:', userId);
+      return false;
     }
     
-    console.log('送信メッセージ:', JSON.stringify(message, null, 2));
+    const messages = toLineMessages(content, useQuickReply, customQuickReply);
+    console.log('送信メッセージ:', JSON.stringify({ to: userId, messages }, null, 2));
     
-    const response = await fetch('https://api.line.me/v2/bot/message/push', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.LINE_CHANNEL_ACCESS_TOKEN}`
-      },
-      body: JSON.stringify(message)
-    });
-
-    console.log('LINE API応答:', response.status, response.statusText);
+    // 再試行しても同じPushが二重に届かないよう、1回の送信に1つのキーを使う
+    const retryKey = crypto.randomUUID();
+    const response = await deliveryQueue.enqueue(() => transport.push(userId, messages, { retryKey }), { transport: transport.name });
+    console.log('送信先の応答:', response.status, response.statusText);
     
     if (!response.ok) {
-      const errorText = await response.text();
-      console.error('メッセージ送信エラー:', response.status, response.statusText, errorText);
-    } else {
-      const responseData = await response.json();
-      console.log('メッセージ送信成功:', responseData);
+      console.error('メッセージ送信エラー:', response.status, response.statusText, response.body);
+      recordDeadLetter('push', userId, messages, response);
+      return false;
     }
+    console.log('メッセージ送信成功:', response.body);
+    return true;
   } catch (error) {
     console.error('メッセージ送信エラー:', error);
+    return false;
   }
 }
 
 // リプライメッセージ送信
-async function sendReplyMessage(replyToken, text, useQuickReply = false, customQuickReply = null) {
+// replyToken は1回しか使えないので再試行せず、失敗したら受信時の送信者にPushで送り直す
+async function sendReplyMessage(replyToken, content, useQuickReply = false, customQuickReply = null) {
   try {
-    console.log('リプライメッセージ送信開始:', { replyToken, text: text.substring(0, 100) + '...', useQuickReply });
+    const transport = selectTransport(transports, replyToken);
+    console.log('リプライメッセージ送信開始:', { replyToken, text: summarizeContent(content), useQuickReply, transport: transport && transport.name });
     
-    if (!process.env.LINE_CHANNEL_ACCESS_TOKEN) {
-      console.error('LINE_CHANNEL_ACCESS_TOKENが設定されていません');
+    if (!transport || !transport.configured) {
+      console.error('送信先が設定されていません:', replyToken);
       return;
     }
     
-    const message = {
-      replyToken: replyToken,
-      messages: [{
-        type: 'text',
-        text: text
-      }]
-    };
-    
-    if (useQuickReply && customQuickReply) {
-      message.messages[0].quickReply = customQuickReply;
-    } else if (useQuickReply) {
-      message.messages[0].quickReply = {
-        items: getQuickReplyItems()
-      };
-    }
-    
-    console.log('送信リプライメッセージ:', JSON.stringify(message, null, 2));
-    console.log('LINE API URL:', 'https://api.line.me/v2/bot/message/reply');
-    console.log('Authorization Header:', `Bearer ${process.env.LINE_CHANNEL_ACCESS_TOKEN ? '設定済み' : '未設定'}`);
+    const messages = toLineMessages(content, useQuickReply, customQuickReply);
+    console.log('送信リプライメッセージ:', JSON.stringify({ replyToken, messages }, null, 2));
     
-    const response = await fetch('https://api.line.me/v2/bot/message/reply', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.LINE_CHANNEL_ACCESS_TOKEN}`
-      },
-      body: JSON.stringify(message)
-    });
-
-    console.log('LINE API応答:', response.status, response.statusText);
+    const response = await deliveryQueue.enqueue(() => transport.reply(replyToken, messages), { maxAttempts: 1, transport: transport.name });
+    console.log('送信先の応答:', response.status, response.statusText);
     
     if (!response.ok) {
-      const errorText = await response.text();
-      console.error('リプライメッセージ送信エラー:', response.status, response.statusText, errorText);
-      console.error('エラー詳細:', {
-        status: response.status,
-        statusText: response.statusText,
-        headers: Object.fromEntries(response.headers.entries()),
-        body: errorText
-      });
+      console.error('リプライメッセージ送信エラー:', response.status, response.statusText, response.body);
       
-      // エラーの場合はPushメッセージで再試行
-      console.log('Pushメッセージで再試行');
-      await sendMessage(replyToken.split('_')[0], text, useQuickReply, customQuickReply);
+      const userId = replyTargets.lookup(replyToken);
+      if (userId) {
+        console.log('Pushメッセージで再試行:', userId);
+        await sendMessage(userId, content, useQuickReply, customQuickReply);
+      } else {
+        recordDeadLetter('reply', replyToken, messages, response);
+      }
     } else {
-      const responseData = await response.json();
-      console.log('リプライメッセージ送信成功:', responseData);
+      console.log('リプライメッセージ送信成功:', response.body);
     }
   } catch (error) {
     console.error('リプライメッセージ送信エラー:', error);
   }
 }
 
-// 定期通知処理
-function scheduleNotifications() {
-  // 毎分実行して時刻をチェック
-  cron.schedule('* * * * *', () => {
-    const now = moment();
-    
-    users.forEach((user, userId) => {
-      const userTime = now.tz(user.settings.timezone);
-      const timeStr = userTime.format('HH:mm');
-      const dayOfWeek = userTime.format('ddd');
-      
-      // 朝の通知
-      if (timeStr === user.settings.amTime && !user.lastAmReport) {
-        const message = getToneMessage(user.settings.tone, 'morning');
-        sendMessage(userId, message, true);
-      }
-      
-      // 夜の通知
-      if (timeStr === user.settings.pmTime && user.lastAmReport && !user.lastPmReport) {
-        const message = getToneMessage(user.settings.tone, 'evening');
-        sendMessage(userId, message, true);
-      }
-      
-      // 週次レビュー
-      if (dayOfWeek === user.settings.weeklyDay && timeStr === user.settings.weeklyTime) {
-        const review = generateWeeklyReview(userId);
-        sendMessage(userId, review);
-      }
-      
-      // 締切チェック（未報告の場合はmissに設定）
-      if (timeStr === user.settings.deadline && user.lastAmReport && !user.lastPmReport) {
-        user.currentTasks.forEach(task => {
-          if (task.status === 'pending') {
-            task.status = 'miss';
-            task.reason = '締切超過';
-          }
-        });
-        user.lastPmReport = moment().tz(user.settings.timezone).format();
-      }
-    });
+// 論理日の締め処理（未報告のタスクはその日のmissとして集計）
+function closeDay(user, date, now = moment()) {
+  const day = repo.getDay(user.id, date);
+  if (!day || day.closedAt) {
+    return;
+  }
+  
+  day.tasks.forEach(task => {
+    if (task.status === 'pending') {
+      task.status = 'miss';
+      task.reason = '締切超過';
+    }
   });
+  day.closedAt = moment(now).tz(user.settings.timezone).format();
+  repo.saveDay(day);
+  
+  if (day.tasks.some(task => task.status === 'miss')) {
+    shareWithBuddy(user, 'miss', () => buildMissNotice(day));
+  }
 }
 
-// LINE Messaging APIのwebhookエンドポイント
-app.post('/webhook', (req, res) => {
-  try {
-    console.log('=== WEBHOOK受信開始 ===');
-    console.log('Webhook受信:', {
-      method: req.method,
-      url: req.url,
-      headers: req.headers,
-      body: req.body
-    });
-    console.log('=== WEBHOOK受信終了 ===');
+// 論理日の切り替え（前日の締め処理→当日の報告状態をリセット）
+function rolloverUserDay(user, now = moment()) {
+  const today = getLogicalDate(user.settings, now);
+  if (user.logicalDate === today) {
+    return false;
+  }
+  
+  if (user.logicalDate) {
+    closeDay(user, user.logicalDate, now);
+  }
+  // 当日分を先にコミット済み（締切後の翌日分の宣言など）ならその状態を引き継ぐ
+  const day = repo.getDay(user.id, today);
+  user.logicalDate = today;
+  user.lastAmReport = day ? day.committedAt : null;
+  user.lastPmReport = day ? day.reportedAt : null;
+  repo.saveUser(user);
+  return true;
+}
+
+// 夜の通知に当日のタスクカードを添える
+function withReportCard(user, message) {
+  const day = repo.getDay(user.id, user.logicalDate);
+  if (!day || day.tasks.length === 0) {
+    return message;
+  }
+  return [message, buildTaskCard(day, { title: '今日の結果を報告', goals: repo.getGoals(user.id) })];
+}
 
-    // 環境変数の確認
-    if (!process.env.LINE_CHANNEL_SECRET) {
-      console.error('LINE_CHANNEL_SECRETが設定されていません');
-      return res.status(500).send('Server configuration error');
+// 朝の通知
+function sendMorningNotification(user, now) {
+  const carriedTasks = getCarriedTasks(user.id, user.logicalDate);
+  const committedTasks = getCommittedTasks(user, now);
+  const progress = getUserProgress(user, now);
+  const escalation = getDosEscalation(user, progress);
+  const streakText = getToneMessage(user.settings.tone, 'streak', { streaks: progress.streaks });
+  const message = getToneMessage(user.settings.tone, 'morning', { carriedTasks, committedTasks, streakText, escalation });
+  // 持ち越し・週次でコミットしたタスクはQuick Replyのam入力に入れておく
+  const prefill = [...carriedTasks.map(t => t.name), ...committedTasks]
+    .filter((name, i, names) => names.findIndex(n => normalizeTaskName(n) === normalizeTaskName(name)) === i)
+    .slice(0, escalation ? escalation.maxTasks : MAX_TASKS);
+  const amText = prefill.length > 0 ? `am: ${prefill.join(', ')}` : 'am: ';
+  return sendMessage(user.id, message, true, { items: getQuickReplyItems(amText) });
+}
+
+// 週次レビューが届いたときの記録（既読の判定の起点と、実施率の分母になる配信イベント）
+// 送信の完了はジョブの外なので、そのユーザーのキューで最新の user に書き込む
+function markReviewDelivered(userId, week) {
+  return userQueue.run(userId, () => {
+    const user = repo.getUser(userId);
+    if (!user) {
+      return;
     }
+    user.pendingReview = { week, deliveredAt: moment().toISOString() };
+    repo.saveUser(user);
+    recordEvent(EVENT_TYPES.REVIEW_DELIVERED, user, { week });
+  });
+}
+
+// 週次レビュー（生成に失敗した・送れなかったレビューは配信として数えない）
+function sendWeeklyReview(user, scheduledAt) {
+  const week = getWeekKey(user.settings.timezone, scheduledAt);
+  return generateWeeklyReview(user.id, scheduledAt)
+    .then(review => {
+      sendMessage(user.id, review)
+        .then(delivered => delivered && markReviewDelivered(user.id, week))
+        .catch(error => console.error('週次レビュー配信記録エラー:', error));
+    })
+    .catch(error => console.error('週次レビュー生成エラー:', error));
+}
+
+// 夜の通知に添える連続記録（今日報告すれば何日連続になるか）
+function getEveningStreakText(user, now) {
+  return getToneMessage(user.settings.tone, 'eveningStreak', { streaks: getUserProgress(user, now).streaks });
+}
+
+// 定期Pushを送ってよいか（セーフティモード中と、グループでだけ使っていて友だち追加していない人には送らない）
+function canSchedulePush(user) {
+  return !isSafetyModeActive(user) && !user.groupOnly;
+}
 
-    // 署名検証
-    const signature = req.get('X-Line-Signature');
-    if (!signature) {
-      console.log('署名が見つかりません');
-      return res.status(400).send('Bad Request - No signature');
+// ジョブごとの処理（送信は送信キューに入れるだけで完了を待たない。再試行の待ちでユーザーのキューと /cron/tick の応答を止めないため）
+// 週次レビューは生成までを返す Promise で待つ
+const SCHEDULED_JOBS = {
+  deadline: (user, scheduledAt, now) => {
+    rolloverUserDay(user, now);
+  },
+  am: (user, scheduledAt, now) => {
+    if (!user.lastAmReport && canSchedulePush(user)) {
+      sendMorningNotification(user, now);
+    }
+  },
+  // 夜の通知（タスクカードのボタンでも報告できる）
+  pm: (user, scheduledAt, now) => {
+    if (user.lastAmReport && !user.lastPmReport && canSchedulePush(user)) {
+      const message = getToneMessage(user.settings.tone, 'evening', { streakText: getEveningStreakText(user, now) });
+      sendMessage(user.id, withReportCard(user, message), true);
     }
+  },
+  // 未報告者への再通知（1日1回）
+  reminder: (user, scheduledAt, now) => {
+    if (user.lastAmReport && !user.lastPmReport && canSchedulePush(user)) {
+      const message = getToneMessage(user.settings.tone, 'reminder', { deadline: user.settings.deadline, streakText: getEveningStreakText(user, now) });
+      sendMessage(user.id, withReportCard(user, message), true);
+    }
+  },
+  weekly: (user, scheduledAt, now) => {
+    if (canSchedulePush(user)) {
+      return sendWeeklyReview(user, scheduledAt);
+    }
+  }
+};
 
-    if (!verifySignature(signature, req.rawBody, process.env.LINE_CHANNEL_SECRET)) {
-      console.log('署名検証に失敗しました');
-      console.log('期待するシークレット:', process.env.LINE_CHANNEL_SECRET ? '設定済み' : '未設定');
-      return res.status(400).send('Bad Request - Invalid signature');
+// ユーザーごとの定期チェック（期限が来たジョブを実行し、ジョブごとの結果の Promise を返す）
+// 次回時刻を先に進めて保存してから送るので、同じジョブが重ねて呼ばれても二重送信しない
+function checkUserSchedule(user, now = moment()) {
+  // セーフティモードの期間が過ぎていれば、メッセージを待たずに元のトーンに戻す（通知・Do-Sの段階に反映する）
+  if (exitSafetyModeIfExpired(user, moment(now).toDate())) {
+    repo.saveUser(user);
+  }
+  const { changed, due } = claimDueJobs(user, now);
+  if (!changed) {
+    return [];
+  }
+  repo.saveUser(user);
+  // 通知の前に論理日を揃える（締切のジョブを取りこぼしていた場合も含む）
+  if (due.length > 0) {
+    rolloverUserDay(user, now);
+  }
+  
+  return due.map(({ type, scheduledAt, late }) => {
+    if (late) {
+      console.log('取りこぼした通知を見送り:', { userId: user.id, type, scheduledAt: scheduledAt.toISOString() });
+      return Promise.resolve({ userId: user.id, type, status: 'skipped' });
     }
+    return Promise.resolve(SCHEDULED_JOBS[type](user, scheduledAt, now))
+      .then(() => ({ userId: user.id, type, status: 'fired' }));
+  });
+}
+
+// グループのメンバーごとの当日の記録（日付はメンバー各自の論理日）
+function getGroupEntries(group, now = moment()) {
+  return Object.entries(group.members).map(([userId, member]) => {
+    const user = repo.getUser(userId);
+    return {
+      userId,
+      name: member.name,
+      day: user ? repo.getDay(userId, getLogicalDate(user.settings, now)) : null
+    };
+  });
+}
 
-    console.log('署名検証成功');
+function getGroupDate(group, now = moment()) {
+  return moment(now).tz(group.settings.timezone).format('YYYY-MM-DD');
+}
 
-    // 即座に200 OKを返す（replyToken失効対策）
-    res.status(200).send('OK');
+// グループのジョブごとの処理（メンバーがいない・記録がない日は送らない。送信の完了は待たない）
+const GROUP_SCHEDULED_JOBS = {
+  am: (group, now) => {
+    const entries = getGroupEntries(group, now);
+    if (entries.length > 0) {
+      sendMessage(group.id, buildMorningBoard(entries, getGroupDate(group, now)));
+    }
+  },
+  pm: (group, now) => {
+    const entries = getGroupEntries(group, now);
+    if (entries.some(entry => entry.day)) {
+      sendMessage(group.id, buildScoreboard(entries, getGroupDate(group, now)));
+    }
+  },
+  weekly: (group, now) => {
+    const range = getDateRange(group.settings.timezone, 7, now);
+    const members = Object.entries(group.members).map(([userId, member]) => ({
+      name: member.name,
+      days: repo.listDays(userId, range.from, range.to)
+    }));
+    if (members.some(member => member.days.length > 0)) {
+      sendMessage(group.id, buildGroupWeeklyReview(members, range));
+    }
+  }
+};
 
-    // イベント処理を非同期で実行
-    const events = req.body.events;
-    if (!events || !Array.isArray(events)) {
-      console.log('イベントが無効です:', req.body);
-      return;
+// グループの定期チェック（朝のボード・夜のスコアボード・週次レビュー）
+function checkGroupSchedule(group, now = moment()) {
+  const { changed, due } = claimDueJobs(group, now, GROUP_JOB_TYPES);
+  if (!changed) {
+    return [];
+  }
+  repo.saveGroup(group);
+  
+  return due.map(({ type, scheduledAt, late }) => {
+    if (late) {
+      console.log('取りこぼした通知を見送り:', { groupId: group.id, type, scheduledAt: scheduledAt.toISOString() });
+      return Promise.resolve({ groupId: group.id, type, status: 'skipped' });
     }
+    return Promise.resolve(GROUP_SCHEDULED_JOBS[type](group, now))
+      .then(() => ({ groupId: group.id, type, status: 'fired' }));
+  });
+}
 
-    // 非同期でイベント処理
-    setImmediate(() => {
-      events.forEach(event => {
-        handleEvent(event);
-      });
-      console.log('Webhook処理完了');
-    });
-  } catch (error) {
-    console.error('Webhook処理エラー:', error);
-    res.status(500).send('Internal Server Error');
+// 定期チェック（プロセス内の毎分tickと POST /cron/tick から呼ぶ。何度呼ばれても期限の来たジョブしか実行しない）
+// ユーザー・グループごとのキューで、そのユーザー・グループのwebhookイベントと重ならないように実行する
+// 戻り値は実行したジョブの一覧（送信は送信キューに入れた時点で fired とし、届いたかどうかは待たない）
+function runScheduledChecks(now = moment()) {
+  repo.pruneWebhookEvents(moment(now).subtract(WEBHOOK_EVENT_RETENTION_HOURS, 'hours').toISOString());
+  
+  const results = repo.listUsers().map(({ id }) => userQueue.run(id, () => {
+    // キューで待っている間に削除・更新されていることがあるので取り直す
+    const user = repo.getUser(id);
+    if (!user) {
+      return [];
+    }
+    // アンフォロー中のユーザーには送らない
+    if (user.unfollowedAt) {
+      purgeIfRetentionExpired(user, now);
+      return [];
+    }
+    return Promise.all(checkUserSchedule(user, now));
+  }));
+  const groupResults = repo.listGroups().map(({ id }) => userQueue.run(id, () => {
+    const group = repo.getGroup(id);
+    return group ? Promise.all(checkGroupSchedule(group, now)) : [];
+  }));
+  return Promise.all([...results, ...groupResults]).then(jobs => jobs.flat());
+}
+
+// 定期通知処理（SCHEDULER=external のときは外部のcronから POST /cron/tick を呼ぶ）
+function scheduleNotifications() {
+  if (process.env.SCHEDULER === 'external') {
+    return;
   }
+  // 毎分実行して期限の来たジョブを処理
+  cron.schedule('* * * * *', () => {
+    runScheduledChecks().catch(error => console.error('定期チェックエラー:', error));
+  });
+}
+
+// 各送信先のwebhook受信（LINE: /webhook、Slack: /slack/*、Discord: /discord/interactions）
+transports.filter(transport => transport.createRouter).forEach(transport => {
+  app.use(transport.path, transport.createRouter({ handleEvent }));
 });
 
 // イベントハンドラー
 function handleEvent(event) {
   console.log('イベントタイプ:', event.type);
   
+  // 再送されたイベント（応答の遅れ・再起動などでLINEが送り直したもの）は1回だけ処理する
+  const redelivery = Boolean(event.deliveryContext && event.deliveryContext.isRedelivery);
+  if (event.webhookEventId && !repo.claimWebhookEvent(event.webhookEventId, {
+    userId: event.source && event.source.userId,
+    type: event.type,
+    redelivery,
+    receivedAt: new Date().toISOString()
+  })) {
+    console.log('処理済みのイベントを無視:', { webhookEventId: event.webhookEventId, redelivery });
+    return;
+  }
+  // 返信に失敗したときのPush先・処理キューは、グループならグループ単位
+  const target = getGroupId(event.source) || (event.source && event.source.userId);
+  if (event.replyToken && target) {
+    replyTargets.remember(event.replyToken, target);
+  }
+  
+  // 同じユーザー（グループ）のイベントは届いた順に1つずつ処理する
+  return userQueue.run(target, () => dispatchEvent(event))
+    .catch(error => console.error('イベント処理エラー:', error));
+}
+
+// イベントの種類ごとの処理（処理が終わると解決する Promise を返す）
+function dispatchEvent(event) {
+  if (getGroupId(event.source)) {
+    return handleGroupEvent(event);
+  }
   switch (event.type) {
     case 'message':
-      handleMessage(event);
-      break;
+      return handleMessage(event);
     case 'follow':
-      handleFollow(event);
-      break;
+      return handleFollow(event);
     case 'unfollow':
-      handleUnfollow(event);
-      break;
+      return handleUnfollow(event);
     case 'postback':
-      handlePostback(event);
-      break;
+      return handlePostback(event);
     default:
       console.log('未対応のイベントタイプ:', event.type);
   }
 }
 
+// グループ・複数人トークの作成（ボットが招待されたとき、または最初の発言時）
+function initializeGroup(source) {
+  const groupId = getGroupId(source);
+  return repo.getGroup(groupId) || repo.saveGroup({
+    id: groupId,
+    type: source.type,
+    members: {},
+    settings: { ...DEFAULT_GROUP_SETTINGS },
+    createdAt: new Date().toISOString()
+  });
+}
+
+// 宣言・報告したメンバーをグループに登録し、表示名を返す
+// 友だち追加していない人は個人の記録だけ作り、個人宛ての定期Pushは送らない
+async function registerGroupMember(source) {
+  const groupId = getGroupId(source);
+  const userId = source.userId;
+  const current = initializeGroup(source);
+  if (current.members[userId]) {
+    return current.members[userId].name;
+  }
+  
+  if (!repo.getUser(userId)) {
+    const user = initializeUser(userId);
+    user.groupOnly = true;
+    repo.saveUser(user);
+  }
+  const transport = selectTransport(transports, groupId);
+  const profile = transport && transport.getMemberProfile ? await transport.getMemberProfile(source) : null;
+  // プロフィール取得を待つ間に更新されていることがあるので取り直す
+  const group = initializeGroup(source);
+  const name = (profile && profile.displayName) || `メンバー${Object.keys(group.members).length + 1}`;
+  group.members[userId] = { name, joinedAt: new Date().toISOString() };
+  repo.saveGroup(group);
+  return name;
+}
+
+function formatGroupSchedule(settings) {
+  return `⏰ ボードの時刻\n朝のボード: ${settings.amTime}\n夜のスコアボード: ${settings.pmTime}\n週次レビュー: ${settings.weeklyDay} ${settings.weeklyTime}\nタイムゾーン: ${settings.timezone}`;
+}
+
+// グループでのコマンド（個人の設定や履歴には触れない）
+function handleGroupCommand(group, text) {
+  const command = text.split(/\s+/)[0].toLowerCase();
+  switch (command) {
+    case '/help':
+      return GROUP_HELP;
+    case '/board':
+      return buildScoreboard(getGroupEntries(group), getGroupDate(group), { mention: false });
+    case '/time':
+    case '/tz': {
+      if (text.split(/\s+/).length === 1) {
+        return formatGroupSchedule(group.settings);
+      }
+      const { changes, errors } = parseSettings(text);
+      if (changes.deadline) {
+        errors.push('締切は各自の設定です（1:1トークの /deadline で変更できます）。');
+      }
+      if (errors.length > 0) {
+        return `${errors.join('\n')}\n\n例: /time am 09:00 pm 21:30 weekly Sun 19:00\n/tz Asia/Tokyo`;
+      }
+      Object.assign(group.settings, changes);
+      repo.saveGroup(group);
+      return `グループの設定を変更しました。\n\n${formatGroupSchedule(group.settings)}`;
+    }
+    default:
+      return 'グループで使えるのは am: / pm: / /board / /time / /tz / /help です。個人の設定・履歴・相談は1:1のトークでどうぞ。';
+  }
+}
+
+// グループでの宣言・報告（記録は本人の個人の記録に入る）
+// イベントはグループのキューで処理しているので、メンバー個人の記録を変える部分はそのメンバーのキューで行う
+// （1:1トークのイベントや締切のジョブと重ならないように）
+async function handleGroupReport(event, reportType) {
+  const source = event.source;
+  const userId = source.userId;
+  const text = event.message.text;
+  
+  const { name, replyText } = await userQueue.run(userId, async () => {
+    const memberName = await registerGroupMember(source);
+    
+    // 危機ワードはグループには出さず、友だちなら1:1で相談窓口を案内する
+    const crisisDetected = checkCrisis(userId, text, `group_${reportType}_report`);
+    if (crisisDetected && !repo.getUser(userId).groupOnly) {
+      sendMessage(userId, SUPPORT_MESSAGE);
+    }
+    
+    if (reportType !== 'am') {
+      return { name: memberName, replyText: handleEveningReport(userId, text) };
+    }
+    const result = handleMorningCommit(userId, text);
+    const day = getCurrentDay(repo.getUser(userId));
+    return {
+      name: memberName,
+      replyText: typeof result === 'string'
+        ? result
+        : `今日のタスクを記録しました。\n${formatTaskList(day.tasks)}\n\n終わったら pm: A=done, B=miss(理由) で報告してください。`
+    };
+  });
+  sendReplyMessage(event.replyToken, `【${name}さん】\n${replyText}`);
+}
+
+// グループ・複数人トークのイベント
+// 宣言・報告・コマンド以外の会話には反応しない（ボタン付きのカードも送らない）
+async function handleGroupEvent(event) {
+  const source = event.source;
+  const groupId = getGroupId(source);
+  
+  switch (event.type) {
+    case 'join':
+      initializeGroup(source);
+      sendReplyMessage(event.replyToken, GROUP_HELP);
+      return;
+    case 'leave':
+      repo.deleteGroup(groupId);
+      console.log('グループから退出しました:', groupId);
+      return;
+    case 'memberLeft': {
+      const group = repo.getGroup(groupId);
+      if (group) {
+        (event.left.members || []).forEach(member => delete group.members[member.userId]);
+        repo.saveGroup(group);
+      }
+      return;
+    }
+    case 'message': {
+      if (event.message.type !== 'text' || !source.userId) {
+        return;
+      }
+      const text = event.message.text.trim();
+      const reportType = detectReportType(text);
+      if (reportType) {
+        await handleGroupReport(event, reportType);
+      } else if (text.startsWith('/')) {
+        sendReplyMessage(event.replyToken, handleGroupCommand(initializeGroup(source), text));
+      }
+      return;
+    }
+    default:
+      console.log('グループでは扱わないイベント:', event.type);
+  }
+}
+
 // メッセージイベントの処理
 async function handleMessage(event) {
   const message = event.message;
@@ -683,6 +1912,7 @@ async function handleMessage(event) {
   
   console.log('メッセージタイプ:', message.type);
   console.log('メッセージ内容:', message);
+  markReviewRead(userId);
   
   if (message.type === 'text') {
     await handleTextMessage(message, replyToken, userId);
@@ -694,9 +1924,10 @@ async function handleTextMessage(message, replyToken, userId) {
   const userMessage = message.text;
   console.log('ユーザーメッセージ:', userMessage);
   
-  // 環境変数の確認
-  if (!process.env.LINE_CHANNEL_ACCESS_TOKEN) {
-    console.error('LINE_CHANNEL_ACCESS_TOKENが設定されていません');
+  // 送信先の設定確認
+  const transport = selectTransport(transports, userId);
+  if (!transport || !transport.configured) {
+    console.error('送信先が設定されていません:', userId);
     sendReplyMessage(replyToken, 'Botの設定が完了していません。管理者にお問い合わせください。', false);
     return;
   }
@@ -704,8 +1935,20 @@ async function handleTextMessage(message, replyToken, userId) {
   const userState = getUserState(userId);
   const user = initializeUser(userId);
   
-  // 状態に応じた処理
-  if (userState.startsWith('awaiting_')) {
+  // 危機ワード検知（am/pmの報告は記録したうえで相談窓口を案内する）
+  const reportType = detectReportType(userMessage);
+  const isReport = reportType !== null;
+  const crisisDetected = checkCrisis(userId, userMessage, isReport ? `${reportType}_report` : 'message');
+  if (crisisDetected && !isReport) {
+    clearUserState(userId);
+    sendReplyMessage(replyToken, SUPPORT_MESSAGE, false);
+    return;
+  }
+  
+  // 未達理由の入力待ち中でも、報告やコマンドはそのまま処理する
+  if (userState.startsWith(MISS_REASON_STATE) && (isReport || userMessage.startsWith('/'))) {
+    clearUserState(userId);
+  } else if (userState.startsWith('awaiting_')) {
     handleStateInput(userId, userMessage, replyToken);
     return;
   }
@@ -713,20 +1956,18 @@ async function handleTextMessage(message, replyToken, userId) {
   let replyText = '';
   let useQuickReply = true;
   
-  if (userMessage.startsWith('am:')) {
+  if (reportType === 'am') {
     replyText = handleMorningCommit(userId, userMessage);
-  } else if (userMessage.startsWith('pm:')) {
+  } else if (reportType === 'pm') {
     replyText = handleEveningReport(userId, userMessage);
   } else if (userMessage.startsWith('/')) {
-    const result = handleCommand(userId, userMessage);
-    if (typeof result === 'object') {
-      // 設定メニューの場合
-      sendReplyMessage(replyToken, result.text, false, result.quickReply);
+    const result = await handleCommand(userId, userMessage);
+    if (result && result.quickReply) {
+      // 専用のQuick Replyを付ける応答（設定メニュー・/split）
+      sendReplyMessage(replyToken, result.text, true, result.quickReply);
       return;
     }
     replyText = result;
-  } else if (userMessage === '/weekly') {
-    replyText = generateWeeklyReview(userId);
   } else {
     // AI会話機能を使用
     console.log('AI会話機能を使用:', userMessage);
@@ -734,116 +1975,86 @@ async function handleTextMessage(message, replyToken, userId) {
     // 即座に「読み込み中」メッセージを送信
     sendReplyMessage(replyToken, '🤔 考え中...', false);
     
-    // AI応答を非同期で生成してPushメッセージで送信
+    // AI応答を非同期で生成してPushメッセージで送信（このイベントの処理が終わってから、同じユーザーのキューで行う）
     console.log('非同期処理を開始します');
-    setImmediate(async () => {
+    userQueue.run(userId, async () => {
       try {
         console.log('AI応答生成開始（非同期）');
         const context = {
-          currentTasks: user.currentTasks,
-          weeklyStats: user.weeklyStats,
+          currentTasks: getCurrentDay(user)?.tasks || [],
+          weeklyStats: getWeeklySummary(user),
+          streaks: getUserProgress(user).streaks,
+          goals: repo.getGoals(userId).map(g => g.name),
           settings: user.settings,
           lastAmReport: user.lastAmReport,
-          lastPmReport: user.lastPmReport
+          lastPmReport: user.lastPmReport,
+          ...getCoachingHistory(user)
         };
         
         console.log('コンテキスト準備完了:', context);
         const aiResponse = await generateAIResponse(userId, userMessage, context);
         console.log('AI応答生成完了:', aiResponse);
         
-        // Pushメッセージで送信
+        // Pushメッセージで送信（届くまでは待たず、次のイベントの処理に進む）
         console.log('Pushメッセージ送信開始');
-        await sendMessage(userId, aiResponse, true);
-        console.log('Pushメッセージ送信完了');
+        sendMessage(userId, aiResponse, true);
         
       } catch (error) {
         console.error('AI応答エラー:', error);
         console.error('AI応答エラー詳細:', error.message);
         console.error('AI応答エラースタック:', error.stack);
         
-        // タイムアウトエラーの場合は特別なメッセージ
-        let errorMessage;
-        if (error.message.includes('timeout')) {
-          errorMessage = '⏰ 申し訳ありません。AI応答に時間がかかりすぎました。\n\n以下のコマンドを使用してください：\n\n• am: タスクA, タスクB, タスクC\n• pm: A=done, B=done, C=miss(理由)\n• /settings で設定メニュー\n• /help でヘルプ';
-        } else {
-          errorMessage = getFallbackResponse(userMessage, user.settings.tone);
-        }
+        // LLMのエラーは generateAIResponse 内で処理済み。ここに来るのはそれ以外の失敗
+        const errorMessage = getFallbackResponse(userMessage, user.settings.tone);
         
         console.log('エラー時のPushメッセージ送信開始');
-        await sendMessage(userId, errorMessage, true);
-        console.log('エラー時のPushメッセージ送信完了');
+        sendMessage(userId, errorMessage, true);
       }
     });
     
     return; // ここで処理を終了（Pushメッセージで後から送信）
   }
   
+  if (crisisDetected) {
+    replyText = typeof replyText === 'string' ? `${replyText}\n\n${SUPPORT_MESSAGE}` : [].concat(replyText, SUPPORT_MESSAGE);
+  }
+  
   sendReplyMessage(replyToken, replyText, useQuickReply);
 }
 
 // 状態に応じた入力処理
 function handleStateInput(userId, message, replyToken) {
-  const user = initializeUser(userId);
   const userState = getUserState(userId);
-  const timePattern = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+  
+  if (SETTING_STATES[userState]) {
+    sendReplyMessage(replyToken, applySettings(userId, message, SETTING_STATES[userState]).message, true);
+    return;
+  }
+  
+  if (userState.startsWith(MISS_REASON_STATE)) {
+    sendReplyMessage(replyToken, handleMissReasonInput(userId, userState, message), true);
+    return;
+  }
   
   switch (userState) {
-    case 'awaiting_am_time':
-      if (timePattern.test(message)) {
-        user.settings.amTime = message;
-        clearUserState(userId);
-        sendReplyMessage(replyToken, `朝の通知時刻を${message}に設定しました。`, true);
-      } else {
-        sendReplyMessage(replyToken, '正しい時刻形式で入力してください（例: 07:30）', true);
-      }
-      break;
-      
-    case 'awaiting_pm_time':
-      if (timePattern.test(message)) {
-        user.settings.pmTime = message;
-        clearUserState(userId);
-        sendReplyMessage(replyToken, `夜の通知時刻を${message}に設定しました。`, true);
+    case FORGET_STATE:
+      if (message.trim() === FORGET_CONFIRM_WORD) {
+        sendReplyMessage(replyToken, forgetUser(userId), false);
       } else {
-        sendReplyMessage(replyToken, '正しい時刻形式で入力してください（例: 21:30）', true);
-      }
-      break;
-      
-    case 'awaiting_weekly_time':
-      if (timePattern.test(message)) {
-        user.settings.weeklyTime = message;
         clearUserState(userId);
-        sendReplyMessage(replyToken, `週次レビュー時刻を${message}に設定しました。`, true);
-      } else {
-        sendReplyMessage(replyToken, '正しい時刻形式で入力してください（例: 19:00）', true);
+        sendReplyMessage(replyToken, '削除をキャンセルしました。データはそのままです。', true);
       }
       break;
       
     case 'awaiting_tone':
       if (['mild', 'sharp', 'dos'].includes(message.toLowerCase())) {
-        user.settings.tone = message.toLowerCase();
         clearUserState(userId);
-        sendReplyMessage(replyToken, `トーンを${message}に変更しました。`, true);
+        sendReplyMessage(replyToken, changeTone(userId, message.toLowerCase()), true);
       } else {
         sendReplyMessage(replyToken, '使用可能なトーン: mild, sharp, dos', true);
       }
       break;
       
-    case 'awaiting_deadline':
-      if (timePattern.test(message)) {
-        user.settings.deadline = message;
-        clearUserState(userId);
-        sendReplyMessage(replyToken, `締切時刻を${message}に設定しました。`, true);
-      } else {
-        sendReplyMessage(replyToken, '正しい時刻形式で入力してください（例: 23:00）', true);
-      }
-      break;
-      
-    case 'awaiting_tz':
-      user.settings.timezone = message;
-      clearUserState(userId);
-      sendReplyMessage(replyToken, `タイムゾーンを${message}に設定しました。`, true);
-      break;
-      
     default:
       clearUserState(userId);
       sendReplyMessage(replyToken, '状態をリセットしました。', true);
@@ -856,16 +2067,63 @@ function handleFollow(event) {
   const replyToken = event.replyToken;
   const userId = event.source.userId;
   
-  initializeUser(userId);
+  const user = initializeUser(userId);
+  // 保持期間内の再フォローは以前のデータをそのまま使う
+  if (user.unfollowedAt) {
+    delete user.unfollowedAt;
+    repo.saveUser(user);
+  }
+  // グループでだけ使っていた人は、友だち追加後は個人の定期Pushも届ける
+  if (user.groupOnly) {
+    delete user.groupOnly;
+    repo.saveUser(user);
+  }
+  recordEvent(EVENT_TYPES.FOLLOW, user, {}, moment().tz(user.settings.timezone).format('YYYY-MM-DD'));
   const welcomeMessage = `🎉 寺子屋タスクメンターへようこそ！\n\n朝にコミット、夜に決算、週1で人生監査する辛口チャット型タスクメンターです。\n\nまずは今日のタスクを宣言してみてください：\n\nam: タスクA, タスクB, タスクC\n\n設定は /settings で変更できます。\n\n頑張りましょう！💪`;
   sendReplyMessage(replyToken, welcomeMessage, true);
 }
 
-// アンフォローイベントの処理
+// アンフォロー後にデータを残す日数（0は即時削除）。KPI用のイベントは期間後も残す
+function getUnfollowRetentionDays() {
+  const days = parseInt(process.env.UNFOLLOW_RETENTION_DAYS || '30', 10);
+  return Number.isInteger(days) && days >= 0 ? days : 30;
+}
+
+function purgeUnfollowedUser(userId) {
+  const user = repo.getUser(userId);
+  if (user) {
+    unpairBuddy(user);
+  }
+  const removed = repo.purgeUser(userId, { keep: ['events'] });
+  console.log('アンフォロー後の保持期間を過ぎたデータを削除しました:', removed);
+}
+
+// アンフォローイベントの処理（会話の記憶と入力待ちは即時削除、それ以外は保持期間後に削除）
 function handleUnfollow(event) {
   console.log('ユーザーがアンフォローしました');
   const userId = event.source.userId;
-  users.delete(userId);
+  const user = repo.getUser(userId);
+  if (user) {
+    recordEvent(EVENT_TYPES.UNFOLLOW, user, {}, moment().tz(user.settings.timezone).format('YYYY-MM-DD'));
+  }
+  repo.deleteConversation(userId);
+  repo.clearState(userId);
+  
+  if (!user || getUnfollowRetentionDays() === 0) {
+    purgeUnfollowedUser(userId);
+    return;
+  }
+  user.unfollowedAt = moment().toISOString();
+  repo.saveUser(user);
+}
+
+// 保持期間を過ぎていれば削除（削除した場合は true）
+function purgeIfRetentionExpired(user, now = moment()) {
+  if (!user.unfollowedAt || moment(now).diff(moment(user.unfollowedAt), 'days', true) < getUnfollowRetentionDays()) {
+    return false;
+  }
+  purgeUnfollowedUser(user.id);
+  return true;
 }
 
 // ポストバックイベントの処理
@@ -874,6 +2132,21 @@ function handlePostback(event) {
   const replyToken = event.replyToken;
   const userId = event.source.userId;
   const data = event.postback.data;
+  markReviewRead(userId);
+  
+  // タスクカードのボタン
+  const taskAction = parseTaskPostback(data);
+  if (taskAction) {
+    sendReplyMessage(replyToken, handleTaskPostback(userId, taskAction), true);
+    return;
+  }
+  
+  // 週次レビューの「来週やる」ボタン
+  const weeklyAction = parseWeeklyPostback(data);
+  if (weeklyAction) {
+    sendReplyMessage(replyToken, handleWeeklyCommit(userId, weeklyAction), true);
+    return;
+  }
   
   // 即座に返信（replyTokenは押下ごとに新規）
   switch (data) {
@@ -889,7 +2162,7 @@ function handlePostback(event) {
       
     case 'open:weekly':
       setUserState(userId, 'awaiting_weekly_time');
-      sendReplyMessage(replyToken, '週次レビュー時刻を hh:mm で送ってください（例: 19:00）', true);
+      sendReplyMessage(replyToken, '週次レビューの曜日と時刻を送ってください（例: Sun 19:00 / 日 19:00 / 19:00）', true);
       break;
       
     case 'open:tone':
@@ -899,7 +2172,7 @@ function handlePostback(event) {
       
     case 'open:deadline':
       setUserState(userId, 'awaiting_deadline');
-      sendReplyMessage(replyToken, '締切時刻を hh:mm で送ってください（例: 23:00）', true);
+      sendReplyMessage(replyToken, '締切時刻を hh:mm で送ってください（20:00〜翌03:00、例: 23:00）。未報告の再通知は23:00で、締切が23:00以前なら締切の30分前になります', true);
       break;
       
     case 'open:tz':
@@ -920,7 +2193,13 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       webhook: '/webhook',
-      health: '/health'
+      health: '/health',
+      kpi: '/admin/kpi',
+      deadLetters: '/admin/dead-letters',
+      export: '/export/:token',
+      cron: '/cron/tick',
+      slack: '/slack/events | /slack/commands | /slack/interactions',
+      discord: '/discord/interactions'
     }
   });
 });
@@ -930,18 +2209,138 @@ app.get('/health', (req, res) => {
   res.status(200).json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    users: users.size,
+    users: repo.countUsers(),
+    storage: repo.store.type,
+    transports: transports.map(transport => transport.name),
+    llm: llm ? llm.provider : 'none',
+    queues: { delivery: deliveryQueue.size(), users: userQueue.size() },
     uptime: process.uptime()
   });
 });
 
+// Bearerトークンの検証（Authorization: Bearer <expected>）
+function verifyBearerToken(req, expected) {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!expected || token.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+}
+
+// 管理用トークンの検証（Authorization: Bearer <ADMIN_TOKEN>）
+function verifyAdminToken(req) {
+  return verifyBearerToken(req, process.env.ADMIN_TOKEN);
+}
+
+// 外部のcronからの定期チェック（サーバーレス環境用。Authorization: Bearer <CRON_SECRET>）
+// 期限の来たジョブだけを実行するので、呼び出しが遅れたり重なったりしても二重送信しない
+app.post('/cron/tick', async (req, res) => {
+  if (!process.env.CRON_SECRET) {
+    console.error('CRON_SECRETが設定されていません');
+    return res.status(503).json({ error: 'Cron endpoint is not configured' });
+  }
+  if (!verifyBearerToken(req, process.env.CRON_SECRET)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  try {
+    const ranAt = moment();
+    const jobs = await runScheduledChecks(ranAt);
+    res.status(200).json({ ranAt: ranAt.toISOString(), jobs });
+  } catch (error) {
+    console.error('定期チェックエラー:', error);
+    res.status(500).json({ error: 'Tick failed' });
+  }
+});
+
+// KPIエンドポイント（?from=YYYY-MM-DD&to=YYYY-MM-DD、既定は直近28日）
+app.get('/admin/kpi', (req, res) => {
+  if (!process.env.ADMIN_TOKEN) {
+    console.error('ADMIN_TOKENが設定されていません');
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+  if (!verifyAdminToken(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const today = moment().tz(DEFAULT_SETTINGS.timezone);
+  const from = req.query.from || today.clone().subtract(27, 'days').format('YYYY-MM-DD');
+  const to = req.query.to || today.format('YYYY-MM-DD');
+  if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+    return res.status(400).json({ error: 'from/to must be YYYY-MM-DD and from <= to' });
+  }
+  
+  res.status(200).json({
+    generatedAt: new Date().toISOString(),
+    ...computeKpis(repo.listEvents(), { from, to })
+  });
+});
+
+// 送れなかったメッセージの一覧（?limit=N で新しい順にN件、既定100件）
+app.get('/admin/dead-letters', (req, res) => {
+  if (!process.env.ADMIN_TOKEN) {
+    console.error('ADMIN_TOKENが設定されていません');
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+  if (!verifyAdminToken(req)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+  const deadLetters = repo.listDeadLetters();
+  res.status(200).json({
+    total: deadLetters.length,
+    deadLetters: deadLetters.slice(-limit).reverse()
+  });
+});
+
+// ローカルシミュレーター（TRANSPORT=simulator のときだけ。早送りした分もスケジューラーを1分ずつ回す）
+const simulator = transports.find(transport => transport.name === 'simulator');
+if (simulator) {
+  app.use('/simulator', createSimulatorRouter({
+    transport: simulator,
+    clock: createSimulatedClock(),
+    repo,
+    handleEvent,
+    onTick: runScheduledChecks
+  }));
+}
+
+// データのダウンロード（/export で発行した署名付きURL。?format=csv でタスク履歴のCSV）
+app.get('/export/:token', (req, res) => {
+  const secret = getExportSecret();
+  if (!secret) {
+    return res.status(503).json({ error: 'Export is not configured' });
+  }
+  
+  const { userId, error } = verifyDownloadToken(req.params.token, secret);
+  if (error === 'expired') {
+    return res.status(410).json({ error: 'Link expired' });
+  }
+  if (error || !repo.getUser(userId)) {
+    return res.status(404).json({ error: 'Not Found' });
+  }
+  
+  const data = buildExport(repo, userId);
+  const filename = `terakoya-export-${moment().format('YYYYMMDD')}`;
+  res.set('Cache-Control', 'no-store');
+  if (req.query.format === 'csv') {
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.status(200).type('text/csv; charset=utf-8').send(buildCsv(data));
+  }
+  res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.status(200).json(data);
+});
+
 // 404エラーハンドリング
 app.use('*', (req, res) => {
   console.log('404エラー:', req.method, req.originalUrl);
   res.status(404).json({ 
     error: 'Not Found',
     message: 'エンドポイントが見つかりません',
-    availableEndpoints: ['/webhook', '/health']
+    availableEndpoints: ['/webhook', '/health', '/admin/kpi', '/admin/dead-letters', '/export/:token', '/cron/tick']
   });
 });
 
@@ -953,6 +2352,9 @@ app.listen(PORT, () => {
   console.log(`寺子屋タスクメンターがポート${PORT}で起動しました`);
   console.log(`Webhook URL: http://localhost:${PORT}/webhook`);
   console.log(`ヘルスチェック: http://localhost:${PORT}/health`);
+  if (simulator) {
+    console.log(`シミュレーター: http://localhost:${PORT}/simulator`);
+  }
 });
 
 module.exports = app;
\ No newline at end of file